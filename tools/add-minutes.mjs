@@ -10,6 +10,7 @@
  */
 
 import { getEnvKey } from './lib/envkeys.mjs';
+import { fetchWithRetry } from './lib/http.mjs';
 import { fetchProject } from './lib/project.mjs'
 import { validateSession } from './lib/validate.mjs';
 import { updateSessionDescription } from './lib/session.mjs';
@@ -70,19 +71,18 @@ async function main(number) {
   }
   console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER} and session(s)... done`);
 
-  // TODO: date is in the timezone of the TPAC even but actual dated URL
-  // is on Boston time. No big deal for TPAC meetings in US / Europe, but
-  // problematic when TPAC is in Asia.
-  const date = project.metadata.date;
-  const year = date.substring(0, 4);
-  const month = date.substring(5, 7);
-  const day = date.substring(8, 10);
-
   console.log();
   console.log('Link to minutes...');
   for (const session of sessions) {
+    // TODO: date is in the timezone of the TPAC even but actual dated URL
+    // is on Boston time. No big deal for TPAC meetings in US / Europe, but
+    // problematic when TPAC is in Asia.
+    const date = project.slots.find(s => s.name === session.slot).date;
+    const year = date.substring(0, 4);
+    const month = date.substring(5, 7);
+    const day = date.substring(8, 10);
     const url = `https://www.w3.org/${year}/${month}/${day}-${session.description.shortname.substring(1)}-minutes.html`;
-    const response = await fetch(url);
+    const response = await fetchWithRetry(url);
     if ((response.status !== 200) && (response.status !== 401)) {
       console.log(`- no minutes found for session ${session.number}: ${url} yields a ${response.status}`);
     }
@@ -0,0 +1,112 @@
+/**
+ * This tool checks the links to the materials of one (or all) sessions
+ * (agenda, slides, minutes, calendar entry, etc.) and sets or clears the
+ * "broken link" warning of sessions accordingly.
+ *
+ * To run the tool:
+ *
+ *  node tools/check-materials.mjs [sessionNumber]
+ *
+ * where [sessionNumber] is the number of the issue to process (e.g. 15).
+ * Leave empty (or use "all") to check the materials of all sessions.
+ *
+ * Links are checked with a HEAD request, or a GET request when the server
+ * does not like HEAD requests, following redirects. A link is broken when
+ * the server does not respond in time or returns an HTTP error. Member-only
+ * pages on w3.org, which return a 401, are not considered broken.
+ *
+ * Checking links takes time. Validation tools do not check links, they
+ * preserve the warning that this tool sets, which gets cleared the next time
+ * the tool runs once the links work again. The tool is meant to run
+ * periodically.
+ */
+
+import { getEnvKey } from './lib/envkeys.mjs';
+import { fetchProject, saveSessionValidationResult } from './lib/project.mjs'
+import { initSectionHandlers, parseSessionBody } from './lib/session.mjs';
+import { getValidationRules, isWarningSuppressedByNote } from './lib/rules.mjs';
+
+
+async function main(number) {
+  const PROJECT_OWNER = await getEnvKey('PROJECT_OWNER');
+  const PROJECT_NUMBER = await getEnvKey('PROJECT_NUMBER');
+  console.log();
+  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}...`);
+  const project = await fetchProject(PROJECT_OWNER, PROJECT_NUMBER);
+  if (!project) {
+    throw new Error(`Project ${PROJECT_OWNER}/${PROJECT_NUMBER} could not be retrieved`);
+  }
+  const sessions = project.sessions
+    .filter(s => !number || s.number === number)
+    .sort((s1, s2) => s1.number - s2.number);
+  if (number && sessions.length === 0) {
+    throw new Error(`Session ${number} not found in project ${PROJECT_OWNER}/${PROJECT_NUMBER}`);
+  }
+  console.log(`- ${sessions.length} sessions to check`);
+  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}... done`);
+
+  const rule = (await getValidationRules()).find(rule => rule.id === 'broken link');
+  if (!rule) {
+    console.log();
+    console.log(`Rule "broken link" is disabled in the rules configuration, nothing to check`);
+    return;
+  }
+  const severity = rule.severity;
+
+  await initSectionHandlers();
+  for (const session of sessions) {
+    console.log();
+    console.log(`Check materials of session ${session.number}...`);
+    try {
+      session.description = parseSessionBody(session.body);
+    }
+    catch {
+      console.log(`- skip, session description cannot be parsed`);
+      console.log(`Check materials of session ${session.number}... done`);
+      continue;
+    }
+
+    const messages = await rule.messages(session, project);
+    for (const message of messages) {
+      console.log(`- ${message}`);
+    }
+    let broken = messages.length > 0;
+    if (broken && severity === 'warning' &&
+        isWarningSuppressedByNote(session, rule.type)) {
+      console.log(`- drop warning:${rule.type} per note`);
+      broken = false;
+    }
+
+    const previousResults = (session.validation[severity] ?? '')
+      .split(',')
+      .map(value => value.trim())
+      .filter(value => !!value);
+    const hadWarning = previousResults.includes(rule.type);
+    if (broken === hadWarning) {
+      console.log(`- no change in validation results`);
+    }
+    else {
+      const results = broken ?
+        previousResults.concat(rule.type).sort() :
+        previousResults.filter(value => value !== rule.type);
+      session.validation[severity] = results.join(', ');
+      console.log(`- ${broken ? 'add' : 'remove'} ${severity}:${rule.type}`);
+      await saveSessionValidationResult(session, project);
+    }
+    console.log(`Check materials of session ${session.number}... done`);
+  }
+}
+
+
+// Read session number from command-line
+if (process.argv[2] && !process.argv[2].match(/^(\d+|all)$/)) {
+  console.log('First parameter should be a session number or "all"');
+  process.exit(1);
+}
+const sessionNumber = process.argv[2]?.match(/^\d+$/) ? parseInt(process.argv[2], 10) : undefined;
+
+main(sessionNumber)
+  .catch(err => {
+    console.log(`Something went wrong: ${err.message}`);
+    throw err;
+  });
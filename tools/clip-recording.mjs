@@ -33,10 +33,11 @@
 import path from 'path';
 import fs from 'fs/promises';
 import { getEnvKey } from './lib/envkeys.mjs';
+import { fetchWithRetry } from './lib/http.mjs';
 import webvtt from 'webvtt-parser';
 
 async function listRecordings(accountId, authToken, recordingPrefix) {
-  const response = await fetch(
+  const response = await fetchWithRetry(
     `https://api.cloudflare.com/client/v4/accounts/${accountId}/stream?search=${recordingPrefix}`,
     {
       headers: {
@@ -62,7 +63,7 @@ async function listRecordings(accountId, authToken, recordingPrefix) {
 }
 
 async function clipCaptions(url, start, end) {
-  const response = await fetch(url);
+  const response = await fetchWithRetry(url);
   const captions = await response.text();
   const parser = new webvtt.WebVTTParser();
   const serializer = new webvtt.WebVTTSerializer();
@@ -83,7 +84,7 @@ async function clipCaptions(url, start, end) {
 }
 
 async function renameRecording(recording, accountId, authToken) {
-  const response = await fetch(
+  const response = await fetchWithRetry(
     `https://api.cloudflare.com/client/v4/accounts/${accountId}/stream/${recording.videoId}`,
     {
       method: 'POST',
@@ -105,7 +106,7 @@ async function renameRecording(recording, accountId, authToken) {
 }
 
 async function clipOnCloudflare(recording, start, end, accountId, authToken) {
-  const response = await fetch(
+  const response = await fetchWithRetry(
     `https://api.cloudflare.com/client/v4/accounts/${accountId}/stream/clip`,
     {
       method: 'POST',
@@ -135,7 +136,7 @@ async function uploadCaptions(captions, recording, accountId, authToken) {
   const formData = new FormData();
   const blob = new Blob([captions], { type : 'text/plain' });
   formData.append('file', blob, 'recording-${recording.sessionId}-en.vtt');
-  const response = await fetch(
+  const response = await fetchWithRetry(
     `https://api.cloudflare.com/client/v4/accounts/${accountId}/stream/${recording.videoId}/captions/en`,
     {
       method: 'PUT',
@@ -156,7 +157,7 @@ async function sleep(ms) {
 
 async function waitUntilReady(recording, accountId, authToken) {
   async function isReady() {
-    const response = await fetch(
+    const response = await fetchWithRetry(
       `https://api.cloudflare.com/client/v4/accounts/${accountId}/stream/${recording.videoId}`,
       {
         headers: {
@@ -29,12 +29,13 @@ import path from 'path';
 import fs from 'fs/promises';
 import { convert } from './lib/webvtt2html.mjs';
 import { getEnvKey } from './lib/envkeys.mjs';
+import { fetchWithRetry } from './lib/http.mjs';
 import { fetchProject } from './lib/project.mjs';
 import { validateSession } from './lib/validate.mjs';
 import { todoStrings } from './lib/todostrings.mjs';
 
 async function listRecordings(accountId, authToken, recordingPrefix) {
-  const response = await fetch(
+  const response = await fetchWithRetry(
     `https://api.cloudflare.com/client/v4/accounts/${accountId}/stream?search=${recordingPrefix}`,
     {
       headers: {
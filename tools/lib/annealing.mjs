@@ -0,0 +1,201 @@
+import seedrandom from 'seedrandom';
+import { computeGridCost, computeGridCostChange } from './gridcost.mjs';
+import { getSessionSlots, isSlotInList } from './project.mjs';
+import { getChairCommitments } from './commitments.mjs';
+
+/**
+ * Default number of iterations and temperature range of the annealing. The
+ * temperature decreases geometrically from the initial temperature to the
+ * final one over the iterations.
+ */
+const defaultIterations = 20000;
+const initialTemperature = 100;
+const finalTemperature = 0.1;
+
+/**
+ * Maximum number of random (room, slot) cells to try when looking for a free
+ * cell for a session.
+ */
+const maxAttempts = 20;
+
+
+/**
+ * Suggest a grid through simulated annealing.
+ *
+ * The function assigns rooms and slots to the given sessions so as to
+ * minimize the cost of the grid, as computed by `computeGridCost`. Sessions
+ * must have been validated. The room and slot that a session may already have
+ * on entry are preserved. Only sessions that do not have a room or a slot get
+ * moved around.
+ *
+ * Two sessions never get assigned to the same room at the same time, and
+ * sessions never get assigned to a slot during which their chairs are not
+ * available or have other commitments in the external schedule. All the
+ * other constraints (chairs, conflicts, tracks, capacity, duration) are soft
+ * constraints that contribute to the cost.
+ *
+ * Options:
+ * - seed: seed string of the random generator
+ * - weights: weights of the cost criteria, see `computeGridCost`
+ * - iterations: number of iterations
+ * - baseline: assignments to preserve as much as possible, see
+ * `computeGridCost`. Sessions in the baseline start from their baseline room
+ * and slot when possible.
+ *
+ * Each iteration only evaluates the change in cost that the move causes
+ * (see `computeGridCostChange`), the cost of the whole grid is only computed
+ * at the beginning and at the end.
+ *
+ * The function updates the `room` and `slot` properties of the sessions in
+ * place and returns the cost of the resulting grid.
+ */
+export function suggestGridByAnnealing(sessions, project, options = {}) {
+  const random = seedrandom(options.seed).quick;
+  const iterations = options.iterations ?? defaultIterations;
+  const rooms = project.rooms;
+  const slots = project.slots;
+  const pick = list => list[Math.floor(random() * list.length)];
+
+  // Sessions that have both a room and a slot cannot move. Others may only
+  // move along the dimension that is not set yet.
+  const movable = sessions
+    .filter(s => !s.room || !s.slot)
+    .map(session => ({
+      session,
+      room: session.room ? rooms.find(r => r.name === session.room) : null,
+      slot: session.slot ? slots.find(s => s.name === session.slot) : null
+    }));
+  if (movable.length === 0) {
+    return computeGridCost(sessions, project, options.weights, options.baseline);
+  }
+
+  // Return true if the session can be assigned to the given room and slot
+  // without overlapping another session in the same room, and if its chairs
+  // are available
+  function isFree(session, room, slot) {
+    const candidateSlots = getSessionSlots(
+      Object.assign({}, session, { slot: slot.name }), project);
+    if (candidateSlots.find(s => isSlotInList(s, session.description.unavailable))) {
+      return false;
+    }
+    if (getChairCommitments(session, candidateSlots, project).length > 0) {
+      return false;
+    }
+    return !sessions.find(s => s !== session && s.room === room.name && s.slot &&
+      getSessionSlots(s, project).find(other => candidateSlots.includes(other)));
+  }
+
+  // Find a random free cell for the session, respecting its locked room or
+  // slot, or return null
+  function findFreeCell(entry) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const room = entry.room ?? pick(rooms);
+      const slot = entry.slot ?? pick(slots);
+      if (isFree(entry.session, room, slot)) {
+        return { room: room.name, slot: slot.name };
+      }
+    }
+    return null;
+  }
+
+  function assign(session, cell) {
+    session.room = cell?.room;
+    session.slot = cell?.slot;
+  }
+
+  // Assign the entry's session to the given cell. When no cell could be
+  // found, the session keeps the room or slot that it had on entry
+  function place(entry, cell) {
+    assign(entry.session, {
+      room: cell?.room ?? entry.room?.name,
+      slot: cell?.slot ?? entry.slot?.name
+    });
+  }
+
+  // Initial grid: baseline cells if they are still free, random free cells
+  // otherwise
+  for (const entry of movable) {
+    const previous = options.baseline?.[entry.session.number];
+    const room = rooms.find(r => r.name === previous?.room);
+    const slot = slots.find(s => s.name === previous?.slot);
+    if (room && slot &&
+        (!entry.room || entry.room === room) &&
+        (!entry.slot || entry.slot === slot) &&
+        isFree(entry.session, room, slot)) {
+      assign(entry.session, { room: room.name, slot: slot.name });
+    }
+  }
+  // Sessions that already have a room or a slot have fewer options, place
+  // them first so that random placements do not take their cells
+  const constrainedFirst = movable
+    .filter(entry => entry.room || entry.slot)
+    .concat(movable.filter(entry => !entry.room && !entry.slot));
+  for (const entry of constrainedFirst) {
+    if (!entry.session.room || !entry.session.slot) {
+      place(entry, findFreeCell(entry));
+    }
+  }
+
+  let total = computeGridCost(sessions, project, options.weights, options.baseline).total;
+  let best = { total, cells: movable.map(e => ({ room: e.session.room, slot: e.session.slot })) };
+
+  for (let i = 0; i < iterations; i++) {
+    const temperature = initialTemperature *
+      Math.pow(finalTemperature / initialTemperature, i / iterations);
+
+    // Either move a session to another free cell, or swap two sessions
+    const e1 = pick(movable);
+    const e2 = pick(movable);
+    const previous = [
+      { room: e1.session.room, slot: e1.session.slot },
+      { room: e2.session.room, slot: e2.session.slot }
+    ];
+    let moves = null;
+    if (e1 === e2 || random() < 0.5) {
+      const cell = findFreeCell(e1);
+      if (cell) {
+        moves = [{ session: e1.session, room: cell.room, slot: cell.slot }];
+      }
+    }
+    else if (e1.session.slot && e2.session.slot &&
+        (!e1.room || e1.room.name === e2.session.room) &&
+        (!e1.slot || e1.slot.name === e2.session.slot) &&
+        (!e2.room || e2.room.name === e1.session.room) &&
+        (!e2.slot || e2.slot.name === e1.session.slot)) {
+      assign(e1.session, previous[1]);
+      assign(e2.session, previous[0]);
+      const r1 = rooms.find(r => r.name === e1.session.room);
+      const s1 = slots.find(s => s.name === e1.session.slot);
+      const r2 = rooms.find(r => r.name === e2.session.room);
+      const s2 = slots.find(s => s.name === e2.session.slot);
+      if (isFree(e1.session, r1, s1) && isFree(e2.session, r2, s2)) {
+        moves = [
+          Object.assign({ session: e1.session }, previous[1]),
+          Object.assign({ session: e2.session }, previous[0])
+        ];
+      }
+      assign(e1.session, previous[0]);
+      assign(e2.session, previous[1]);
+    }
+    if (!moves) {
+      continue;
+    }
+
+    // Accept the move if it improves the grid, or with a probability that
+    // decreases with the temperature otherwise
+    const delta = computeGridCostChange(moves, sessions, project, options.weights, options.baseline);
+    if (delta <= 0 || random() < Math.exp(-delta / temperature)) {
+      moves.forEach(move => assign(move.session, move));
+      total += delta;
+      if (total < best.total) {
+        best = {
+          total,
+          cells: movable.map(e => ({ room: e.session.room, slot: e.session.slot }))
+        };
+      }
+    }
+  }
+
+  movable.forEach((entry, idx) => assign(entry.session, best.cells[idx]));
+  return computeGridCost(sessions, project, options.weights, options.baseline);
+}
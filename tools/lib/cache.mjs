@@ -0,0 +1,118 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { getEnvKey } from './envkeys.mjs';
+
+/**
+ * Helper functions to persist the results of lookups (W3C accounts, GitHub
+ * users) on disk from one run to the next, so that tools do not have to send
+ * the same requests over and over again.
+ *
+ * The cache is a JSON file, `lookup-cache.json` by default, which the
+ * LOOKUP_CACHE environment variable may override. Setting the variable to an
+ * empty string disables the cache. Entries expire after a number of hours,
+ * 24 by default, which the LOOKUP_CACHE_TTL environment variable may
+ * override.
+ *
+ * Entries are grouped in namespaces, one per type of lookup (e.g.,
+ * "w3c-accounts"). Within a namespace, entries are indexed by key and have
+ * `value` and `timestamp` properties.
+ */
+
+/**
+ * Content of the cache file, loaded once
+ */
+let loading = null;
+
+/**
+ * Writes are chained to avoid concurrent writes to the cache file
+ */
+let writing = Promise.resolve();
+
+
+/**
+ * Load the cache file, once. The function returns an object with the name of
+ * the cache file, the TTL in milliseconds, and the entries. The name of the
+ * file is empty if the cache is disabled.
+ */
+async function loadCache() {
+  if (!loading) {
+    loading = (async _ => {
+      const filename = await getEnvKey('LOOKUP_CACHE', 'lookup-cache.json');
+      const ttl = parseFloat(await getEnvKey('LOOKUP_CACHE_TTL', '24')) * 60 * 60 * 1000;
+      let entries = {};
+      if (filename) {
+        try {
+          entries = JSON.parse(await readFile(filename, 'utf8'));
+        }
+        catch {
+          // No cache file yet, or file cannot be parsed. The cache is only
+          // an optimization, let's start from scratch.
+        }
+      }
+      return { filename, ttl, entries };
+    })();
+  }
+  return loading;
+}
+
+
+/**
+ * Save the cache to disk.
+ *
+ * The function throws if the file cannot be written. The failure does not
+ * affect subsequent saves, which still run once the failed write is over.
+ */
+async function saveCache(cache) {
+  if (!cache.filename) {
+    return;
+  }
+  const write = writing.then(_ => writeFile(
+    cache.filename, JSON.stringify(cache.entries, null, 2), 'utf8'));
+  writing = write.catch(_ => {});
+  return write;
+}
+
+
+/**
+ * Return the value that the cache has for the given key in the given
+ * namespace, or undefined if the cache does not have a value or if the value
+ * has expired. Note the value itself may be null (e.g., to record that a
+ * lookup did not return anything).
+ */
+export async function getCachedValue(namespace, key) {
+  const cache = await loadCache();
+  const entry = cache.entries[namespace]?.[key];
+  if (!entry || (Date.now() - entry.timestamp > cache.ttl)) {
+    return undefined;
+  }
+  return entry.value;
+}
+
+
+/**
+ * Record the given value for the given key in the given namespace, and save
+ * the cache to disk.
+ */
+export async function setCachedValue(namespace, key, value) {
+  const cache = await loadCache();
+  if (!cache.entries[namespace]) {
+    cache.entries[namespace] = {};
+  }
+  cache.entries[namespace][key] = { value, timestamp: Date.now() };
+  await saveCache(cache);
+}
+
+
+/**
+ * Drop all the entries of the given namespace from the cache, or of all
+ * namespaces if no namespace is given, and save the cache to disk.
+ */
+export async function invalidateCache(namespace) {
+  const cache = await loadCache();
+  if (namespace) {
+    delete cache.entries[namespace];
+  }
+  else {
+    cache.entries = {};
+  }
+  await saveCache(cache);
+}
@@ -1,5 +1,6 @@
 import { validateSession } from './validate.mjs';
 import { updateSessionDescription } from './session.mjs';
+import { getSessionSlots } from './project.mjs';
 import { todoStrings } from './todostrings.mjs';
 
 
@@ -209,15 +210,18 @@ async function fillCalendarEntry({ page, session, project, status, zoom }) {
   // All events are visible to everyone
   await clickOnElement('input#event_visibility_0');
 
-  await page.evaluate(`window.tpac_breakouts_date = "${project.metadata.date}";`);
+  // Session may span two consecutive slots
+  const sessionSlots = getSessionSlots(session, project);
+  const slot = sessionSlots[0];
+  const lastSlot = sessionSlots[sessionSlots.length - 1];
+  await page.evaluate(`window.tpac_breakouts_date = "${slot.date}";`);
   await page.$eval('input#event_start_date', el => el.value = window.tpac_breakouts_date);
   await page.$eval('input#event_start_date', el => el.value = window.tpac_breakouts_date);
 
-  const slot = project.slots.find(s => s.name === session.slot);
   await chooseOption('select#event_start_time_hour', `${parseInt(slot.start.split(':')[0], 10)}`);
   await chooseOption('select#event_start_time_minute', `${parseInt(slot.start.split(':')[1], 10)}`);
-  await chooseOption('select#event_end_time_hour', `${parseInt(slot.end.split(':')[0], 10)}`);
-  await chooseOption('select#event_end_time_minute', `${parseInt(slot.end.split(':')[1], 10)}`);
+  await chooseOption('select#event_end_time_hour', `${parseInt(lastSlot.end.split(':')[0], 10)}`);
+  await chooseOption('select#event_end_time_minute', `${parseInt(lastSlot.end.split(':')[1], 10)}`);
 
   await chooseOption('select#event_timezone', project.metadata.timezone);
 
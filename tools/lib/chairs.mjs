@@ -1,5 +1,93 @@
 import { sendGraphQLRequest } from './graphql.mjs';
 import { fetchW3CAccount } from './w3caccount.mjs';
+import { getCachedValue, setCachedValue, invalidateCache } from './cache.mjs';
+
+/**
+ * Namespace of GitHub users in the lookup cache on disk (see `cache.mjs`)
+ */
+const cacheNamespace = 'github-users';
+
+/**
+ * Retrieve the GitHub user account that has the given login, or null if no
+ * such account exists.
+ *
+ * The returned object has `id` (node ID), `databaseId`, `login` and
+ * `avatarUrl` properties.
+ *
+ * Results, including unknown logins, are recorded in the lookup cache on
+ * disk, until they expire or get invalidated (see `refreshChairsCache`).
+ * Set `refresh` to bypass the cache and look up the current account.
+ */
+export async function fetchGitHubUser(login, { refresh = false } = {}) {
+  const key = login.toLowerCase();
+  if (!refresh) {
+    const cached = await getCachedValue(cacheNamespace, key);
+    if (cached !== undefined) {
+      return cached;
+    }
+  }
+  const user = await queryGitHubUser(login);
+  await setCachedValue(cacheNamespace, key, user);
+  return user;
+}
+
+
+/**
+ * Send the query that retrieves the GitHub user account that has the given
+ * login, or null if no such account exists.
+ */
+async function queryGitHubUser(login) {
+  try {
+    const res = await sendGraphQLRequest(`query($login: String!) {
+      user(login: $login) {
+        id
+        databaseId
+        login
+        avatarUrl
+      }
+    }`, { login });
+    return res.data.user;
+  }
+  catch (err) {
+    // GitHub reports unknown logins as "NOT_FOUND" errors
+    if (err.errors?.every(error => error.type === 'NOT_FOUND')) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+
+/**
+ * Retrieve the GitHub user account that has the given node ID, or null if
+ * no such account exists (anymore).
+ *
+ * Node IDs do not change when users update their login. The function returns
+ * an object with the same structure as `fetchGitHubUser`, with the current
+ * login of the user.
+ */
+export async function fetchGitHubUserById(id) {
+  try {
+    const res = await sendGraphQLRequest(`query($id: ID!) {
+      node(id: $id) {
+        ... on User {
+          id
+          databaseId
+          login
+          avatarUrl
+        }
+      }
+    }`, { id });
+    return res.data.node?.login ? res.data.node : null;
+  }
+  catch (err) {
+    if (err.errors?.every(error => error.type === 'NOT_FOUND')) {
+      return null;
+    }
+    throw err;
+  }
+}
+
 
 /**
  * Retrieve information about session chairs in an array
@@ -51,16 +139,10 @@ export async function fetchSessionChairs(session, chairs2W3CID) {
       }
       let chair = Object.assign({}, chairDesc);
       if (chair.login) {
-        const githubAccount = await sendGraphQLRequest(`query {
-          user(login: "${chair.login}") {
-            databaseId
-            login
-            avatarUrl
-          }
-        }`);
-        if (githubAccount.data.user) {
-          chair.databaseId = githubAccount.data.user.databaseId;
-          chair.avatarUrl = githubAccount.data.user.avatarUrl;
+        const githubUser = await fetchGitHubUser(chair.login);
+        if (githubUser) {
+          chair.databaseId = githubUser.databaseId;
+          chair.avatarUrl = githubUser.avatarUrl;
           const w3cAccount = await fetchW3CAccount(chair.databaseId);
           if (w3cAccount) {
             chair.w3cId = w3cAccount.w3cId;
@@ -117,4 +199,16 @@ export function validateSessionChairs(chairs) {
       return null;
     })
     .filter(error => !!error);
-}
\ No newline at end of file
+}
+
+
+/**
+ * Drop the results of GitHub user and W3C account lookups from the lookup
+ * cache on disk, so that chairs get looked up again. Tools call the function
+ * when they receive the "--refresh-chairs" option, typically when a chair
+ * just linked their GitHub account to their W3C account.
+ */
+export async function refreshChairsCache() {
+  await invalidateCache(cacheNamespace);
+  await invalidateCache('w3c-accounts');
+}
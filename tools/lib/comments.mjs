@@ -0,0 +1,112 @@
+import { sendGraphQLRequest, fetchAllNodes } from './graphql.mjs';
+import { getSnapshotFile } from './snapshot.mjs';
+
+/**
+ * Helper functions to manage comments that tools post on session issues.
+ *
+ * Tools post at most one comment per purpose on an issue, and update that
+ * comment afterwards. Comments are identified by a hidden marker, an HTML
+ * comment that starts the body of the comment, e.g.,
+ * "<!-- tpac-breakouts: format -->".
+ */
+
+
+/**
+ * Return the hidden marker for the given purpose
+ */
+function getMarker(purpose) {
+  return `<!-- tpac-breakouts: ${purpose} -->`;
+}
+
+
+/**
+ * Retrieve the comment with the given purpose that the tools posted on the
+ * session issue, or null if there is no such comment. The comment is an
+ * object with `id` and `body` properties.
+ */
+export async function fetchToolComment(session, purpose) {
+  const snapshotFile = await getSnapshotFile();
+  if (snapshotFile) {
+    return null;
+  }
+  const marker = getMarker(purpose);
+  const comments = await fetchAllNodes(`query($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on Issue {
+        comments(first: 100, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            id
+            body
+            viewerDidAuthor
+          }
+        }
+      }
+    }
+  }`,
+    { id: session.id },
+    response => response.data.node.comments,
+    `comments of issue #${session.number}`);
+  const comment = comments
+    .find(comment => comment.viewerDidAuthor && comment.body.startsWith(marker));
+  return comment ? { id: comment.id, body: comment.body } : null;
+}
+
+
+/**
+ * Post a comment with the given purpose and body on the session issue, or
+ * update the comment that the tools already posted for that purpose.
+ *
+ * The function does nothing if the comment already has the given body. It
+ * does nothing either in snapshot mode, since the snapshot does not contain
+ * issue comments. It returns true if a comment was posted or updated.
+ */
+export async function upsertToolComment(session, purpose, body) {
+  const snapshotFile = await getSnapshotFile();
+  if (snapshotFile) {
+    return false;
+  }
+  const fullBody = getMarker(purpose) + '\n' + body;
+  const comment = await fetchToolComment(session, purpose);
+  if (comment?.body === fullBody) {
+    return false;
+  }
+  if (comment) {
+    const res = await sendGraphQLRequest(`mutation($id: ID!, $body: String!) {
+      updateIssueComment(input: {
+        id: $id,
+        body: $body
+      }) {
+        issueComment {
+          id
+        }
+      }
+    }`, { id: comment.id, body: fullBody });
+    if (!res?.data?.updateIssueComment?.issueComment?.id) {
+      console.log(JSON.stringify(res, null, 2));
+      throw new Error(`GraphQL error, could not update comment`);
+    }
+  }
+  else {
+    const res = await sendGraphQLRequest(`mutation($id: ID!, $body: String!) {
+      addComment(input: {
+        subjectId: $id,
+        body: $body
+      }) {
+        commentEdge {
+          node {
+            id
+          }
+        }
+      }
+    }`, { id: session.id, body: fullBody });
+    if (!res?.data?.addComment?.commentEdge?.node?.id) {
+      console.log(JSON.stringify(res, null, 2));
+      throw new Error(`GraphQL error, could not add comment`);
+    }
+  }
+  return true;
+}
@@ -0,0 +1,229 @@
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Helper functions to load an external schedule of meetings (e.g., working
+ * group meetings that take place during the same TPAC) and to detect breakout
+ * sessions whose chairs have other commitments at the same time.
+ *
+ * Meetings in the external schedule are objects with:
+ * - a `title`
+ * - a `start` and an `end` date (Date objects)
+ * - a list of `participants`, identified by their W3C IDs (as strings)
+ */
+
+
+/**
+ * Return the offset, in minutes, between UTC and the given timezone at the
+ * given date.
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  })
+    .formatToParts(date)
+    .forEach(part => parts[part.type] = part.value);
+  const asUTC = Date.UTC(
+    parseInt(parts.year, 10), parseInt(parts.month, 10) - 1,
+    parseInt(parts.day, 10), parseInt(parts.hour, 10),
+    parseInt(parts.minute, 10), parseInt(parts.second, 10));
+  return (asUTC - date.getTime()) / 60000;
+}
+
+
+/**
+ * Convert a local date and time in the given timezone to a Date object.
+ *
+ * The date must follow the "YYYY-MM-DD" format, the time the "HH:mm" format.
+ */
+export function zonedTimeToDate(date, time, timezone) {
+  const [year, month, day] = date.split('-').map(n => parseInt(n, 10));
+  const [hours, minutes] = time.split(':').map(n => parseInt(n, 10));
+  const asUTC = Date.UTC(year, month - 1, day, hours, minutes);
+  if (!timezone) {
+    return new Date(asUTC);
+  }
+  // The offset may differ on both sides of a DST change, hence the second
+  // pass with the offset at the first guess
+  let offset = getTimezoneOffset(new Date(asUTC), timezone);
+  offset = getTimezoneOffset(new Date(asUTC - offset * 60000), timezone);
+  return new Date(asUTC - offset * 60000);
+}
+
+
+/**
+ * Return the start and end dates of the given slot, interpreting times in the
+ * timezone of the project.
+ */
+export function getSlotInterval(slot, project) {
+  const timezone = project.metadata?.timezone;
+  return {
+    start: zonedTimeToDate(slot.date, slot.start, timezone),
+    end: zonedTimeToDate(slot.date, slot.end, timezone)
+  };
+}
+
+
+/**
+ * Parse a date-time value from an iCalendar file, e.g., "20230913T093000Z",
+ * "20230913T093000" with a TZID parameter, or "20230913" (all-day).
+ */
+function parseICalDate(value, params, defaultTimezone) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    throw new Error(`Invalid date "${value}" in iCalendar file`);
+  }
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  const time = match[4] ? `${match[4]}:${match[5]}` : '00:00';
+  const timezone = match[7] ? 'UTC' : (params.TZID ?? defaultTimezone);
+  return zonedTimeToDate(date, time, timezone);
+}
+
+
+/**
+ * Extract the W3C ID of a participant from an ATTENDEE property. The W3C ID
+ * may be given in an "X-W3C-ID" parameter, or the value may be the URL of the
+ * user's page on the W3C web site, e.g., "https://www.w3.org/users/12345".
+ */
+function getICalParticipant(value, params) {
+  if (params['X-W3C-ID']) {
+    return params['X-W3C-ID'];
+  }
+  const match = value.match(/^https:\/\/www\.w3\.org\/users\/(\d+)\/?$/);
+  return match ? match[1] : null;
+}
+
+
+/**
+ * Parse the contents of an iCalendar file into a list of meetings
+ */
+function parseICalendar(text, defaultTimezone) {
+  // Unfold lines first (long lines are split with a leading space or tab)
+  const lines = text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/);
+  const meetings = [];
+  let meeting = null;
+  for (const line of lines) {
+    const match = line.match(/^([A-Za-z0-9\-]+)((?:;[^:]*)?):(.*)$/);
+    if (!match) {
+      continue;
+    }
+    const name = match[1].toUpperCase();
+    const params = {};
+    match[2].split(';')
+      .filter(param => !!param)
+      .map(param => param.split('='))
+      .forEach(([key, value]) => params[key.toUpperCase()] = value?.replace(/^"(.*)"$/, '$1'));
+    const value = match[3];
+    if (name === 'BEGIN' && value === 'VEVENT') {
+      meeting = { title: '', participants: [] };
+    }
+    else if (name === 'END' && value === 'VEVENT') {
+      if (meeting.start && meeting.end) {
+        meetings.push(meeting);
+      }
+      meeting = null;
+    }
+    else if (meeting) {
+      if (name === 'SUMMARY') {
+        meeting.title = value.replace(/\\([,;\\])/g, '$1');
+      }
+      else if (name === 'DTSTART') {
+        meeting.start = parseICalDate(value, params, defaultTimezone);
+      }
+      else if (name === 'DTEND') {
+        meeting.end = parseICalDate(value, params, defaultTimezone);
+      }
+      else if (name === 'ATTENDEE') {
+        const participant = getICalParticipant(value, params);
+        if (participant) {
+          meeting.participants.push(participant);
+        }
+      }
+    }
+  }
+  return meetings;
+}
+
+
+/**
+ * Load the external schedule from the given file.
+ *
+ * The file may be an iCalendar file (".ics" extension). Each event must have
+ * a DTSTART and a DTEND, and participants must be listed as ATTENDEE
+ * properties with either an "X-W3C-ID" parameter or the URL of their W3C user
+ * page as value.
+ *
+ * Otherwise, the file must be a JSON file that contains a list of meetings:
+ * [
+ *   {
+ *     "title": "WebRTC WG meeting",
+ *     "start": "2023-09-13T09:30",
+ *     "end": "2023-09-13T12:30",
+ *     "participants": [12345, 67890]
+ *   }
+ * ]
+ *
+ * Dates and times that do not specify a timezone (no "Z" suffix, no offset,
+ * no "TZID" parameter) are interpreted in the given default timezone, which
+ * should be the timezone of the project.
+ */
+export async function loadExternalSchedule(filename, defaultTimezone) {
+  const text = await readFile(filename, 'utf8');
+  if (filename.endsWith('.ics')) {
+    return parseICalendar(text, defaultTimezone);
+  }
+  const toDate = value => {
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})[T\s](\d{1,2}:\d{2})(?::\d{2})?$/);
+    return match ?
+      zonedTimeToDate(match[1], match[2], defaultTimezone) :
+      new Date(value);
+  };
+  return JSON.parse(text).map(meeting => {
+    const parsed = {
+      title: meeting.title ?? '',
+      start: toDate(meeting.start),
+      end: toDate(meeting.end),
+      participants: (meeting.participants ?? []).map(id => String(id))
+    };
+    if (isNaN(parsed.start.getTime()) || isNaN(parsed.end.getTime())) {
+      throw new Error(`Invalid start or end date for meeting "${parsed.title}" in external schedule`);
+    }
+    return parsed;
+  });
+}
+
+
+/**
+ * Return the commitments that chairs of the session have in the external
+ * schedule during the given slots, as a list of objects with `chair`,
+ * `meeting` and `slot` properties.
+ *
+ * The external schedule must have been loaded in `project.externalMeetings`.
+ * Chairs must have been retrieved (with their W3C IDs).
+ */
+export function getChairCommitments(session, slots, project) {
+  const meetings = project.externalMeetings ?? [];
+  const commitments = [];
+  if (meetings.length === 0) {
+    return commitments;
+  }
+  for (const slot of slots) {
+    const interval = getSlotInterval(slot, project);
+    for (const meeting of meetings) {
+      if (meeting.start >= interval.end || meeting.end <= interval.start) {
+        continue;
+      }
+      for (const chair of session.chairs ?? []) {
+        if (chair.w3cId && meeting.participants.includes(String(chair.w3cId))) {
+          commitments.push({ chair, meeting, slot });
+        }
+      }
+    }
+  }
+  return commitments;
+}
@@ -1,11 +1,34 @@
 import { getEnvKey } from './envkeys.mjs';
+import { fetchWithRetry, getRateLimitBudget, getRetryDelay, maxRetries, sleep } from './http.mjs';
 
 /**
- * Internal memory cache to avoid sending the same request more than once
+ * Internal memory cache to avoid sending the same query more than once
  * (same author may be associated with multiple sessions!)
+ *
+ * Only queries are cached. Mutations are always sent.
  */
 const cache = {};
 
+/**
+ * GraphQL endpoint
+ */
+const endpoint = 'https://api.github.com/graphql';
+
+/**
+ * Maximum number of pages that `fetchAllNodes` will retrieve for a given
+ * connection. This is a safeguard against infinite loops, no connection that
+ * the tools retrieve should ever get close to that limit.
+ */
+const maxPages = 50;
+
+/**
+ * GitHub recommends waiting at least one second between mutation requests to
+ * avoid hitting secondary rate limits, see:
+ * https://docs.github.com/en/rest/guides/best-practices-for-using-the-rest-api#dealing-with-secondary-rate-limits
+ */
+const mutationInterval = 1000;
+let lastMutation = 0;
+
 
 /**
  * Wrapper function to send an GraphQL request to the GitHub GraphQL endpoint,
@@ -13,31 +36,116 @@ const cache = {};
  * useful when code is run within a GitHub job) or from a `config.json` file in
  * the root folder of the repository (typically useful for local runs).
  *
- * Function throws if the personal access token is missing.
+ * The `variables` object contains the values of the variables declared in the
+ * query, e.g. `{ login: "tidoust" }` for a query that starts with
+ * `query($login: String!)`. Values that come from users (issue bodies, titles,
+ * labels) must always be passed as variables, never interpolated in the query.
+ *
+ * Requests go through the shared HTTP layer, which retries them when GitHub
+ * reports rate limits (and on server errors for queries). Mutations are spaced
+ * out by at least one second. GitHub reports that the primary rate limit of
+ * the GraphQL API was exceeded with a 200 response that contains a
+ * "RATE_LIMITED" error: such requests are retried too, once the budget gets
+ * reset if it is exhausted.
+ *
+ * Function throws if the personal access token is missing, if the server
+ * returns an unexpected HTTP status, or if the response contains GraphQL
+ * errors. In the latter case, the thrown error has an `errors` property set to
+ * the list of errors returned by the server, and a `data` property set to the
+ * (partial) data that may have been returned.
  */
-export async function sendGraphQLRequest(query, acceptHeader = '') {
-  if (cache[query]) {
-    return Object.assign({}, cache[query]);
+export async function sendGraphQLRequest(query, variables = {}, acceptHeader = '') {
+  const isMutation = query.trim().startsWith('mutation');
+  const cacheKey = JSON.stringify({ query, variables });
+  if (!isMutation && cache[cacheKey]) {
+    return Object.assign({}, cache[cacheKey]);
   }
   const GRAPHQL_TOKEN = await getEnvKey('GRAPHQL_TOKEN');
-  const res = await fetch('https://api.github.com/graphql', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `bearer ${GRAPHQL_TOKEN}`,
-      'Accept': acceptHeader ?? undefined
-    },
-    body: JSON.stringify({ query }, null, 2)
-  });
-  if (res.status !== 200) {
-    if (res.status >= 500) {
-      throw new Error(`GraphQL server error, ${res.status} status received`);
+  if (isMutation) {
+    const wait = lastMutation + mutationInterval - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    lastMutation = Date.now();
+  }
+  let json;
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetchWithRetry(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `bearer ${GRAPHQL_TOKEN}`,
+        'Accept': acceptHeader ?? undefined
+      },
+      body: JSON.stringify({ query, variables }, null, 2)
+    }, { idempotent: !isMutation });
+    if (res.status !== 200) {
+      if (res.status >= 500) {
+        throw new Error(`GraphQL server error, ${res.status} status received`);
+      }
+      if (res.status === 403 || res.status === 429) {
+        const text = await res.text();
+        if (res.status === 429 || text.match(/rate limit/i)) {
+          throw new Error(`GraphQL server rate limit exceeded, ${res.status} status received`);
+        }
+        throw new Error(`GraphQL server reports that the API key is invalid, ${res.status} status received`);
+      }
+      throw new Error(`GraphQL server returned an unexpected HTTP status ${res.status}`);
+    }
+    json = await res.json();
+    const rateLimited = json.errors?.some(err => err.type === 'RATE_LIMITED');
+    if (!rateLimited || attempt >= maxRetries) {
+      break;
+    }
+    // When the budget is exhausted, the HTTP layer waits for the reset (or
+    // throws if that takes too long) before it sends the next request.
+    // Otherwise, back off a bit.
+    const budget = getRateLimitBudget(endpoint);
+    if (!budget || budget.remaining > 0) {
+      const delay = getRetryDelay(null, attempt);
+      console.warn(`- GraphQL rate limit exceeded, retry in ${Math.ceil(delay / 1000)}s`);
+      await sleep(delay);
+    }
+  }
+  if (json.errors?.length > 0) {
+    const error = new Error(`GraphQL error: ${json.errors.map(err => err.message).join(', ')}`);
+    error.errors = json.errors;
+    error.data = json.data;
+    throw error;
+  }
+  if (!isMutation) {
+    cache[cacheKey] = json;
+  }
+  return json;
+}
+
+
+/**
+ * Helper function to retrieve all the nodes of a paginated GraphQL connection.
+ *
+ * The `query` must declare an `$after: String` variable, pass it as `after`
+ * argument of the connection, and request the connection's `pageInfo`. The
+ * `variables` object contains the values of the other variables declared in
+ * the query. The `getConnection` function receives the response and must
+ * return the connection. The `what` string is only used to report errors. The
+ * `cursor` parameter may be set to start from a given cursor.
+ *
+ * Function throws if the connection has more than `maxPages` pages.
+ */
+export async function fetchAllNodes(query, variables, getConnection, what, cursor) {
+  const nodes = [];
+  for (let page = 0; page < maxPages; page++) {
+    const response = await sendGraphQLRequest(query,
+      Object.assign({}, variables, { after: cursor ?? null }));
+    const connection = getConnection(response);
+    nodes.push(...connection.nodes);
+    if (!connection.pageInfo.hasNextPage) {
+      return nodes;
     }
-    if (res.status === 403) {
-      throw new Error(`GraphQL server reports that the API key is invalid, ${res.status} status received`);
+    if (!connection.pageInfo.endCursor) {
+      throw new Error(`GraphQL error, no cursor returned to fetch next page of ${what}`);
     }
-    throw new Error(`GraphQL server returned an unexpected HTTP status ${res.status}`);
+    cursor = connection.pageInfo.endCursor;
   }
-  cache[query] = await res.json();
-  return cache[query];
+  throw new Error(`Could not retrieve all ${what}, limit of ${maxPages} pages reached (${nodes.length} entries retrieved so far)`);
 }
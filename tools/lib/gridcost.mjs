@@ -0,0 +1,392 @@
+import { getSessionSlots, isSlotInList } from './project.mjs';
+import { getChairCommitments } from './commitments.mjs';
+import { countAudienceClashes, getCommonAudience } from './interest.mjs';
+import { getTravelIssues } from './travel.mjs';
+
+/**
+ * Default weights of the criteria that make up the cost of a grid.
+ *
+ * Each criterion counts a number of problems in the grid. The cost of the grid
+ * is the sum of these counts, multiplied by their weights. The lower the cost,
+ * the better the grid.
+ */
+export const defaultWeights = {
+  unscheduled: 200,
+  chair: 1000,
+  availability: 1000,
+  conflict: 50,
+  track: 30,
+  features: 100,
+  audience: 10,
+  attendeeClash: 5,
+  capacity: 10,
+  duration: 10,
+  preference: 5,
+  travel: 20,
+  trackSplit: 5,
+  roomChange: 3,
+  gap: 2,
+  moved: 1
+};
+
+
+/**
+ * Human-readable labels of the criteria, used in reports
+ */
+export const criteriaLabels = {
+  unscheduled: 'Unscheduled sessions',
+  chair: 'Sessions with a common chair at the same time',
+  availability: 'Sessions in a slot when chairs are unavailable or have other commitments',
+  conflict: 'Conflicting sessions at the same time',
+  track: 'Sessions in the same track at the same time',
+  features: 'Sessions in a room that lacks required features',
+  audience: 'Sessions that draw the same audience at the same time',
+  attendeeClash: 'Attendees who want to attend sessions at the same time',
+  capacity: 'Sessions in a room that is too small',
+  duration: 'Sessions in a slot that does not match the requested duration',
+  preference: 'Sessions not in a slot that chairs prefer',
+  travel: 'Back-to-back sessions of a chair or track in rooms too far apart',
+  trackSplit: 'Additional rooms used by tracks',
+  roomChange: 'Room changes between sessions of a chair',
+  gap: 'Empty slots between sessions in a room',
+  moved: 'Disruption caused by moved sessions'
+};
+
+
+/**
+ * Return the keys that identify the chairs of the session
+ */
+function getChairKeys(session) {
+  return (session.chairs ?? [])
+    .map(chair => chair.login ?
+      'login:' + chair.login.toLowerCase() :
+      'name:' + chair.name?.toLowerCase());
+}
+
+
+/**
+ * Return the tracks of the session
+ */
+function getTracks(session) {
+  return session.labels
+    .filter(label => label.startsWith('track: '))
+    .map(label => label.substring('track: '.length));
+}
+
+
+/**
+ * Return the scheduling information of the given scheduled session
+ */
+function getEntry(session, project) {
+  const slots = getSessionSlots(session, project);
+  return {
+    session,
+    room: project.rooms.find(room => room.name === session.room),
+    slots,
+    positions: slots.map(slot => project.slots.indexOf(slot)),
+    chairs: getChairKeys(session),
+    tracks: getTracks(session)
+  };
+}
+
+
+/**
+ * Add the given sessions, and the slots, tracks, chairs and rooms that they
+ * currently use, to the scope of a cost computation, see `countProblems`.
+ */
+function addToScope(scope, sessions, project) {
+  for (const session of sessions) {
+    scope.sessions.add(session);
+    getTracks(session).forEach(track => scope.tracks.add(track));
+    getChairKeys(session).forEach(chair => scope.chairs.add(chair));
+    for (const slot of getSessionSlots(session, project)) {
+      scope.slots.add(slot);
+      scope.roomDates.add(`${session.room}|${slot.date}`);
+    }
+  }
+}
+
+
+/**
+ * Count the problems of each criterion in the grid formed by the given
+ * sessions, using their current `room` and `slot` assignments.
+ *
+ * When the `scope` parameter is set, the function only counts the problems
+ * that involve the sessions in the scope, along with problems that arise at
+ * the level of the slots, tracks, chairs and room days in the scope (see
+ * `addToScope`). These are the only problems that may change when these
+ * sessions move. Otherwise, all problems are counted.
+ */
+function countProblems(sessions, project, baseline, scope) {
+  const counts = {};
+  for (const criterion of Object.keys(defaultWeights)) {
+    counts[criterion] = 0;
+  }
+  const involved = session => !scope || scope.sessions.has(session);
+  const inScope = (key, value) => !scope || scope[key].has(value);
+
+  const scheduled = [];
+  for (const session of sessions) {
+    if (!session.room || !session.slot) {
+      if (involved(session)) {
+        counts.unscheduled += 1;
+      }
+      continue;
+    }
+    scheduled.push(getEntry(session, project));
+  }
+
+  // Problems that affect sessions scheduled at the same time
+  const bySlot = new Map();
+  for (const entry of scheduled) {
+    for (const slot of entry.slots) {
+      if (!bySlot.has(slot)) {
+        bySlot.set(slot, []);
+      }
+      bySlot.get(slot).push(entry);
+    }
+  }
+  const pairs = new Set();
+  for (const [slot, entries] of bySlot.entries()) {
+    if (inScope('slots', slot)) {
+      counts.attendeeClash += countAudienceClashes(entries.map(e => e.session));
+    }
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const e1 = entries[i];
+        const e2 = entries[j];
+        if (!involved(e1.session) && !involved(e2.session)) {
+          continue;
+        }
+        // Two-slot sessions may meet in both slots, count pairs only once
+        const pairKey = [e1.session.number, e2.session.number].sort().join('-');
+        if (pairs.has(pairKey)) {
+          continue;
+        }
+        pairs.add(pairKey);
+        if (e1.chairs.find(chair => e2.chairs.includes(chair))) {
+          counts.chair += 1;
+        }
+        if (e1.session.description.conflicts?.includes(e2.session.number) ||
+            e2.session.description.conflicts?.includes(e1.session.number)) {
+          counts.conflict += 1;
+        }
+        if (e1.tracks.find(track => e2.tracks.includes(track))) {
+          counts.track += 1;
+        }
+        if (getCommonAudience(e1.session, e2.session).length > 0) {
+          counts.audience += 1;
+        }
+      }
+    }
+  }
+
+  // Problems that affect sessions individually
+  for (const entry of scheduled) {
+    const { session, room, slots } = entry;
+    if (!involved(session)) {
+      continue;
+    }
+    if (room && session.description.capacity > room.capacity) {
+      counts.capacity += 1;
+    }
+    if (room && (session.description.requirements ?? [])
+        .find(feature => !room.features?.includes(feature))) {
+      counts.features += 1;
+    }
+    if (slots.find(slot => isSlotInList(slot, session.description.unavailable)) ||
+        getChairCommitments(session, slots, project).length > 0) {
+      counts.availability += 1;
+    }
+    if (session.description.preferred?.length > 0 &&
+        !isSlotInList(slots[0], session.description.preferred)) {
+      counts.preference += 1;
+    }
+    const duration = session.description.duration;
+    if (duration === 'double' ? slots.length < 2 : slots[0].duration < duration) {
+      counts.duration += 1;
+    }
+  }
+
+  // Sessions should stay where they were, if possible
+  if (baseline) {
+    for (const session of sessions) {
+      const previous = baseline[session.number];
+      if (previous && involved(session) &&
+          (previous.room !== session.room || previous.slot !== session.slot)) {
+        counts.moved += previous.disruption;
+      }
+    }
+  }
+
+  // Tracks should stick to one room
+  const trackRooms = {};
+  for (const entry of scheduled) {
+    for (const track of entry.tracks) {
+      if (!inScope('tracks', track)) {
+        continue;
+      }
+      if (!trackRooms[track]) {
+        trackRooms[track] = new Set();
+      }
+      trackRooms[track].add(entry.session.room);
+    }
+  }
+  for (const rooms of Object.values(trackRooms)) {
+    counts.trackSplit += rooms.size - 1;
+  }
+
+  // Chairs and tracks should not have to rush to a room that is far away
+  // between back-to-back sessions (issues are counted once per pair)
+  const scheduledSessions = scheduled.map(entry => entry.session);
+  for (const session of scheduledSessions) {
+    if (!involved(session)) {
+      continue;
+    }
+    counts.travel += getTravelIssues(session, scheduledSessions, project)
+      .filter(issue => issue.before || !involved(issue.session))
+      .length;
+  }
+
+  // Chairs should not have to change rooms between their sessions
+  const chairSessions = {};
+  for (const entry of scheduled) {
+    for (const chair of entry.chairs) {
+      if (!inScope('chairs', chair)) {
+        continue;
+      }
+      if (!chairSessions[chair]) {
+        chairSessions[chair] = [];
+      }
+      chairSessions[chair].push(entry);
+    }
+  }
+  for (const entries of Object.values(chairSessions)) {
+    entries.sort((e1, e2) => e1.positions[0] - e2.positions[0]);
+    for (let i = 1; i < entries.length; i++) {
+      if (entries[i].slots[0].date === entries[i-1].slots[0].date &&
+          entries[i].session.room !== entries[i-1].session.room) {
+        counts.roomChange += 1;
+      }
+    }
+  }
+
+  // Sessions in a room should be back-to-back
+  const roomPositions = {};
+  for (const entry of scheduled) {
+    for (const slot of entry.slots) {
+      const key = `${entry.session.room}|${slot.date}`;
+      if (!inScope('roomDates', key)) {
+        continue;
+      }
+      if (!roomPositions[key]) {
+        roomPositions[key] = new Set();
+      }
+      roomPositions[key].add(project.slots.indexOf(slot));
+    }
+  }
+  for (const positions of Object.values(roomPositions)) {
+    const min = Math.min(...positions);
+    const max = Math.max(...positions);
+    counts.gap += (max - min + 1) - positions.size;
+  }
+
+  return counts;
+}
+
+
+/**
+ * Compute the cost of the grid formed by the given sessions, using their
+ * current `room` and `slot` assignments.
+ *
+ * Sessions must have been validated, in other words their `description` and
+ * `chairs` must be set. The `weights` parameter may override some of the
+ * default weights.
+ *
+ * The optional `baseline` parameter describes the assignments that the grid
+ * should preserve as much as possible. It is an object indexed by session
+ * number, whose values have `room`, `slot` and `disruption` properties. The
+ * disruption is the price to pay to move the session away from its baseline
+ * room and slot, and is added to the "moved" criterion when that happens.
+ *
+ * The function returns an object with the total cost and, for each criterion,
+ * the number of problems found, the weight of the criterion and the resulting
+ * cost:
+ * {
+ *   "total": 123,
+ *   "criteria": {
+ *     "chair": { "count": 0, "weight": 1000, "cost": 0 },
+ *     ...
+ *   }
+ * }
+ */
+export function computeGridCost(sessions, project, weights, baseline) {
+  weights = Object.assign({}, defaultWeights, weights);
+  const counts = countProblems(sessions, project, baseline);
+  const cost = { total: 0, criteria: {} };
+  for (const [criterion, count] of Object.entries(counts)) {
+    const weight = weights[criterion] ?? 0;
+    cost.criteria[criterion] = { count, weight, cost: count * weight };
+    cost.total += count * weight;
+  }
+  return cost;
+}
+
+
+/**
+ * Compute the change in the total cost of the grid that moving some of the
+ * sessions would cause, without computing the cost of the whole grid.
+ *
+ * The `moves` parameter is a list of objects with `session`, `room` and
+ * `slot` properties, the room and slot being the names of the cell where the
+ * session would move. Other parameters are the same as for `computeGridCost`.
+ *
+ * Only the problems that the moves may affect are counted, before and after
+ * the moves, which makes the function much faster than computing the cost of
+ * the grid twice on large grids. The sessions temporarily move during the
+ * computation, and are back in their original cells when the function
+ * returns.
+ *
+ * The function returns the difference between the total cost of the grid
+ * after the moves and the total cost before the moves.
+ */
+export function computeGridCostChange(moves, sessions, project, weights, baseline) {
+  weights = Object.assign({}, defaultWeights, weights);
+  const total = counts => Object.entries(counts)
+    .reduce((total, [criterion, count]) => total + count * (weights[criterion] ?? 0), 0);
+  const moved = moves.map(move => move.session);
+  const previous = moved.map(session => ({ room: session.room, slot: session.slot }));
+  const scope = {
+    sessions: new Set(),
+    slots: new Set(),
+    tracks: new Set(),
+    chairs: new Set(),
+    roomDates: new Set()
+  };
+  addToScope(scope, moved, project);
+  for (const move of moves) {
+    move.session.room = move.room;
+    move.session.slot = move.slot;
+  }
+  addToScope(scope, moved, project);
+  const after = total(countProblems(sessions, project, baseline, scope));
+  moved.forEach((session, idx) => {
+    session.room = previous[idx].room;
+    session.slot = previous[idx].slot;
+  });
+  const before = total(countProblems(sessions, project, baseline, scope));
+  return after - before;
+}
+
+
+/**
+ * Format the cost returned by `computeGridCost` as a list of lines for
+ * reporting purpose.
+ */
+export function formatGridCost(cost) {
+  const lines = Object.entries(cost.criteria)
+    .map(([criterion, value]) =>
+      `${criteriaLabels[criterion] ?? criterion}: ${value.count} x ${value.weight} = ${value.cost}`);
+  lines.push(`Total cost: ${cost.total}`);
+  return lines;
+}
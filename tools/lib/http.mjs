@@ -0,0 +1,212 @@
+/**
+ * Shared HTTP layer used to send requests to GitHub, W3C and other APIs.
+ *
+ * The `fetchWithRetry` function wraps `fetch` to:
+ * - retry requests that fail because of network errors or server errors,
+ * with exponential backoff;
+ * - retry requests that get rejected because of rate limits, waiting for the
+ * amount of time that the server asks for (`Retry-After` header), or until
+ * the rate limit gets reset;
+ * - track the rate limit budget that servers report through `X-RateLimit-*`
+ * headers (GitHub does), and pause when the budget is exhausted.
+ */
+
+/**
+ * Maximum number of times a request gets retried
+ */
+export const maxRetries = 5;
+
+/**
+ * Initial backoff delay and maximum delay between two attempts, in ms
+ */
+const initialDelay = 1000;
+const maxDelay = 5 * 60 * 1000;
+
+/**
+ * Rate limit budgets, indexed by host name and rate limit resource, as last
+ * reported by servers: { limit, remaining, used, reset }, where "reset" is a
+ * timestamp in ms.
+ *
+ * Servers may have different budgets for different resources (GitHub has a
+ * "core" budget for the REST API, a "graphql" budget for the GraphQL API,
+ * etc.) and report the resource in an `X-RateLimit-Resource` header.
+ */
+const budgets = {};
+
+/**
+ * Rate limit resource that servers last reported for each endpoint (host
+ * name and first segment of the path, e.g., "api.github.com/repos"), to find
+ * the budget that a request will draw from before it gets sent.
+ */
+const endpointResources = {};
+
+
+/**
+ * Helper function to wait for the given number of milliseconds
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
+/**
+ * Return the endpoint of the given URL, see `endpointResources`
+ */
+function getEndpoint(url) {
+  const { host, pathname } = new URL(url);
+  return host + pathname.replace(/^(\/[^\/]*).*$/, '$1');
+}
+
+
+/**
+ * Return the key of the budget that requests to the given URL draw from
+ */
+function getBudgetKey(url) {
+  const resource = endpointResources[getEndpoint(url)] ?? '';
+  return `${new URL(url).host} ${resource}`;
+}
+
+
+/**
+ * Return the rate limit budget last reported for the given URL, or null if
+ * the server never reported any.
+ */
+export function getRateLimitBudget(url) {
+  const budget = budgets[getBudgetKey(url)];
+  return budget ? Object.assign({}, budget) : null;
+}
+
+
+/**
+ * Record the rate limit budget that the server reports in the response
+ */
+function recordBudget(url, res) {
+  const remaining = res.headers.get('x-ratelimit-remaining');
+  const reset = res.headers.get('x-ratelimit-reset');
+  if (remaining === null || reset === null) {
+    return;
+  }
+  endpointResources[getEndpoint(url)] = res.headers.get('x-ratelimit-resource') ?? '';
+  budgets[getBudgetKey(url)] = {
+    limit: parseInt(res.headers.get('x-ratelimit-limit') ?? '0', 10),
+    used: parseInt(res.headers.get('x-ratelimit-used') ?? '0', 10),
+    remaining: parseInt(remaining, 10),
+    reset: parseInt(reset, 10) * 1000
+  };
+}
+
+
+/**
+ * Wait until the rate limit is reset if the budget that requests to the
+ * given URL draw from is exhausted.
+ *
+ * The function does not wait for more than the maximum delay between two
+ * attempts: it throws if the rate limit does not get reset before that, so
+ * that jobs fail with a clear message instead of hanging for up to an hour.
+ */
+async function waitForBudget(url) {
+  const key = getBudgetKey(url);
+  const budget = budgets[key];
+  if (!budget || budget.remaining > 0) {
+    return;
+  }
+  const delay = budget.reset - Date.now();
+  if (delay > maxDelay) {
+    throw new Error(`Rate limit budget exhausted for ${key.trim()}, resets at ${new Date(budget.reset).toISOString()}`);
+  }
+  if (delay > 0) {
+    console.warn(`- rate limit budget exhausted for ${key.trim()}, wait ${Math.ceil(delay / 1000)}s`);
+    await sleep(delay);
+  }
+  delete budgets[key];
+}
+
+
+/**
+ * Return true if the response signals that the request was rejected because
+ * of a rate limit.
+ *
+ * GitHub uses 403 and 429 statuses for primary and secondary rate limits, see:
+ * https://docs.github.com/en/rest/overview/resources-in-the-rest-api#rate-limiting
+ */
+async function isRateLimited(res) {
+  if (res.status === 429) {
+    return true;
+  }
+  if (res.status !== 403) {
+    return false;
+  }
+  if (res.headers.get('retry-after') ||
+      res.headers.get('x-ratelimit-remaining') === '0') {
+    return true;
+  }
+  const text = await res.clone().text();
+  return !!text.match(/rate limit/i);
+}
+
+
+/**
+ * Compute the delay to wait before the next attempt, in ms
+ */
+export function getRetryDelay(res, attempt) {
+  const retryAfter = res?.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = parseInt(retryAfter, 10);
+    const delay = isNaN(seconds) ?
+      (new Date(retryAfter)).getTime() - Date.now() :
+      seconds * 1000;
+    return Math.min(Math.max(delay, 0), maxDelay);
+  }
+  if (res?.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = parseInt(res.headers.get('x-ratelimit-reset'), 10) * 1000;
+    return Math.min(Math.max(reset - Date.now(), 0), maxDelay);
+  }
+  const delay = initialDelay * Math.pow(2, attempt);
+  return Math.min(delay + Math.floor(Math.random() * initialDelay), maxDelay);
+}
+
+
+/**
+ * Send an HTTP request, retrying as needed.
+ *
+ * The `url` and `options` parameters are the same as those of `fetch`. When
+ * the `idempotent` option is set, requests that fail because of a network
+ * error or a server error (5xx) are retried. By default, all requests are
+ * idempotent except POST and PATCH requests. Requests rejected because of
+ * rate limits are always retried, since the server did not process them.
+ *
+ * Function returns the last response received, which may still be an error
+ * response once all attempts have been exhausted. Function throws if the
+ * request could not be sent at all, or if the rate limit budget is exhausted
+ * and does not get reset within the maximum delay.
+ */
+export async function fetchWithRetry(url, options = {}, { idempotent } = {}) {
+  const method = (options.method ?? 'GET').toUpperCase();
+  idempotent = idempotent ?? !['POST', 'PATCH'].includes(method);
+  for (let attempt = 0; ; attempt++) {
+    await waitForBudget(url);
+    let res;
+    try {
+      res = await fetch(url, options);
+    }
+    catch (err) {
+      if (!idempotent || attempt >= maxRetries) {
+        throw err;
+      }
+      const delay = getRetryDelay(null, attempt);
+      console.warn(`- ${method} ${url} failed (${err.message}), retry in ${Math.ceil(delay / 1000)}s`);
+      await sleep(delay);
+      continue;
+    }
+    recordBudget(url, res);
+
+    const rateLimited = await isRateLimited(res);
+    const serverError = res.status >= 500 && idempotent;
+    if ((!rateLimited && !serverError) || attempt >= maxRetries) {
+      return res;
+    }
+    const delay = getRetryDelay(res, attempt);
+    console.warn(`- ${method} ${url} returned a ${res.status}${rateLimited ? ' (rate limit)' : ''}, retry in ${Math.ceil(delay / 1000)}s`);
+    await sleep(delay);
+  }
+}
@@ -0,0 +1,207 @@
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Helper functions to interpret interest signals for sessions.
+ *
+ * People can show support for a session with emoji reactions on the session
+ * issue. The number of people who reacted gives an idea of the audience that
+ * the session will draw, and people who reacted to two sessions would
+ * probably like to attend both of them.
+ *
+ * Registrants may also have been surveyed about the sessions they would like
+ * to attend. Survey results, once imported, are stored in an `attendees`
+ * property of sessions and complete the reactions.
+ */
+
+/**
+ * Capacity to use when the proposer did not know how many people would attend
+ * the session and when no one reacted to the session. That is the "average
+ * number of people" in a session.
+ */
+const defaultCapacity = 24;
+
+/**
+ * Only a fraction of the people who attend a session take the time to react
+ * to the session issue beforehand. The number of people who reacted gets
+ * multiplied by that factor to estimate the audience.
+ */
+const reactionFactor = 3;
+
+/**
+ * Estimated capacities remain within the bounds of the capacities that
+ * proposers may select in the session template.
+ */
+const minCapacity = 15;
+const maxCapacity = 50;
+
+/**
+ * Minimum number of people who need to have shown interest in two sessions for
+ * these sessions to be considered as drawing the same audience.
+ */
+const minCommonAudience = 2;
+
+
+/**
+ * Return the list of people who showed interest in the session, either
+ * through reactions or in the attendee preference survey. Attendee IDs are
+ * prefixed with "attendee:" since they cannot be compared with GitHub logins.
+ */
+export function getSessionAudience(session) {
+  return (session.reactions?.users ?? [])
+    .concat((session.attendees ?? []).map(id => 'attendee:' + id));
+}
+
+
+/**
+ * Estimate the capacity that the session needs from the number of people who
+ * reacted to the session issue and from the number of attendees who said they
+ * wanted to attend the session in the preference survey. Function returns the
+ * default capacity if no one showed interest.
+ */
+export function estimateCapacity(session) {
+  const audience = Math.max(
+    (session.reactions?.users ?? []).length * reactionFactor,
+    (session.attendees ?? []).length);
+  if (audience === 0) {
+    return defaultCapacity;
+  }
+  return Math.min(Math.max(audience, minCapacity), maxCapacity);
+}
+
+
+/**
+ * Return the list of people who showed interest in both sessions, provided
+ * there are enough of them to consider that the sessions draw the same
+ * audience. Function returns an empty list otherwise.
+ */
+export function getCommonAudience(s1, s2) {
+  const audience2 = getSessionAudience(s2);
+  const common = getSessionAudience(s1).filter(user => audience2.includes(user));
+  return common.length >= minCommonAudience ? common : [];
+}
+
+
+/**
+ * Return the number of attendees who wanted to attend at least two of the
+ * given sessions, typically sessions that are scheduled in the same slot.
+ * Only survey results are taken into account.
+ */
+export function countAudienceClashes(sessions) {
+  const wanted = {};
+  for (const session of sessions) {
+    for (const id of session.attendees ?? []) {
+      wanted[id] = (wanted[id] ?? 0) + 1;
+    }
+  }
+  return Object.values(wanted).filter(count => count >= 2).length;
+}
+
+
+/**
+ * Load attendee preferences from the given survey file.
+ *
+ * The file may be a JSON file, in which case it must contain either an object
+ * whose keys are attendee IDs and whose values are lists of session numbers:
+ * {
+ *   "attendee1": [12, 42],
+ *   "attendee2": [42]
+ * }
+ *
+ * ... or a list of objects with "attendee" and "sessions" properties:
+ * [
+ *   { "attendee": "attendee1", "sessions": [12, 42] },
+ *   { "attendee": "attendee2", "sessions": [42] }
+ * ]
+ *
+ * Otherwise, the file must be a CSV file where each row starts with an
+ * attendee ID, followed by one or more session numbers in subsequent columns
+ * (or in the same column, separated by spaces or semicolons). Session numbers
+ * may be prefixed with "#". Rows that do not contain any session number, such
+ * as a header row, are ignored. An attendee may appear in more than one row.
+ *
+ * The function returns an object whose keys are attendee IDs and whose values
+ * are lists of session numbers.
+ */
+export async function loadAttendeePreferences(filename) {
+  const text = await readFile(filename, 'utf8');
+  const preferences = {};
+  const add = (attendee, numbers) => {
+    attendee = String(attendee).trim();
+    if (!attendee) {
+      return;
+    }
+    if (!preferences[attendee]) {
+      preferences[attendee] = [];
+    }
+    for (const number of numbers) {
+      if (!preferences[attendee].includes(number)) {
+        preferences[attendee].push(number);
+      }
+    }
+  };
+
+  if (filename.endsWith('.json')) {
+    const json = JSON.parse(text);
+    if (Array.isArray(json)) {
+      for (const entry of json) {
+        add(entry.attendee, entry.sessions.map(n => parseInt(n, 10)));
+      }
+    }
+    else {
+      for (const [attendee, numbers] of Object.entries(json)) {
+        add(attendee, numbers.map(n => parseInt(n, 10)));
+      }
+    }
+  }
+  else {
+    const rows = text
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+    for (const row of rows) {
+      const cells = row.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+      const numbers = cells.slice(1)
+        .flatMap(cell => cell.split(/[\s;]+/))
+        .map(value => value.match(/^#?(\d+)$/))
+        .filter(match => !!match)
+        .map(match => parseInt(match[1], 10));
+      if (numbers.length > 0) {
+        add(cells[0], numbers);
+      }
+    }
+  }
+
+  for (const [attendee, numbers] of Object.entries(preferences)) {
+    if (numbers.find(n => isNaN(n))) {
+      throw new Error(`Invalid session number in preferences of attendee "${attendee}"`);
+    }
+  }
+  return preferences;
+}
+
+
+/**
+ * Set the `attendees` property of sessions from the given attendee
+ * preferences, as returned by `loadAttendeePreferences`.
+ *
+ * The function returns the list of session numbers that appear in the
+ * preferences but that do not match any of the sessions.
+ */
+export function setSessionAttendees(sessions, preferences) {
+  const unknown = new Set();
+  for (const session of sessions) {
+    session.attendees = [];
+  }
+  for (const [attendee, numbers] of Object.entries(preferences)) {
+    for (const number of numbers) {
+      const session = sessions.find(s => s.number === number);
+      if (session) {
+        session.attendees.push(attendee);
+      }
+      else {
+        unknown.add(number);
+      }
+    }
+  }
+  return [...unknown];
+}
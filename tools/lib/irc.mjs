@@ -0,0 +1,140 @@
+import { getSessionSlots } from './project.mjs';
+import { validateSessionBody, parseSessionBody } from './session.mjs';
+
+/**
+ * Helper functions to allocate IRC channels to sessions.
+ *
+ * Channels are generated from session titles when proposers do not provide
+ * one. Generated channels only contain lowercase ASCII letters, digits and
+ * dashes, do not exceed a maximum length, avoid channels reserved for other
+ * purposes, and avoid channels that other sessions scheduled at the same
+ * time already use.
+ */
+
+/**
+ * Maximum length of a generated channel, including the leading "#"
+ */
+export const maxChannelLength = 32;
+
+/**
+ * Channels that are used for other purposes and that sessions must not use.
+ * Events may reserve additional channels, see `allocateChannel`.
+ */
+export const reservedChannels = [
+  '#w3c', '#tpac', '#breakouts', '#chairs', '#team', '#sysreq', '#help',
+  '#general', '#zakim', '#rrsagent', '#test', '#social'
+];
+
+/**
+ * Characters that do not decompose into an ASCII letter and a diacritic
+ */
+const transliterations = {
+  'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'ł': 'l',
+  'þ': 'th', 'ı': 'i'
+};
+
+
+/**
+ * Return the canonical form of a channel, to compare channels with one
+ * another: lowercase and with a leading "#"
+ */
+export function normalizeChannel(channel) {
+  const lower = (channel ?? '').trim().toLowerCase();
+  return lower.startsWith('#') ? lower : '#' + lower;
+}
+
+
+/**
+ * Convert the given title to a channel name, without checking collisions.
+ *
+ * Parenthesized parts of the title are dropped, accented characters are
+ * transliterated to ASCII, and sequences of other characters become dashes.
+ * Long names are cut at a dash when possible so as not to cut a word in the
+ * middle. The function returns "#" if nothing remains.
+ */
+export function generateChannelName(title, maxLength = maxChannelLength) {
+  let name = (title ?? '')
+    .toLowerCase()
+    .replace(/\([^\)]*\)/g, '')
+    .replace(/[^\u0000-\u007f]/g, c => transliterations[c] ?? c)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  const max = maxLength - 1;
+  if (name.length > max) {
+    const cut = name.substring(0, max);
+    const lastDash = cut.lastIndexOf('-');
+    name = (name[max] === '-' || lastDash < max / 2) ?
+      cut :
+      cut.substring(0, lastDash);
+    name = name.replace(/-+$/, '');
+  }
+  return '#' + name;
+}
+
+
+/**
+ * Return the channels that the given session cannot use because other
+ * sessions already use them. When the session is scheduled, these are the
+ * channels of sessions scheduled at the same time. When it is not, any other
+ * session could end up in the same slot, so all channels are taken.
+ *
+ * The function parses the description of sessions that have not been
+ * validated yet. Sessions whose body cannot be parsed are ignored.
+ */
+function getTakenChannels(session, project) {
+  for (const s of project.sessions) {
+    if (!s.description && validateSessionBody(s.body).length === 0) {
+      s.description = parseSessionBody(s.body);
+    }
+  }
+  const slots = getSessionSlots(session, project);
+  return project.sessions
+    .filter(s => s.number !== session.number && s.description?.shortname)
+    .filter(s => {
+      if (slots.length === 0) {
+        return true;
+      }
+      const otherSlots = getSessionSlots(s, project);
+      return otherSlots.some(slot => slots.includes(slot));
+    })
+    .map(s => normalizeChannel(s.description.shortname));
+}
+
+
+/**
+ * Allocate an IRC channel to the session, based on its title.
+ *
+ * If the channel generated from the title is empty, reserved, or already
+ * used by another session at the same time (see `getTakenChannels`), the
+ * function appends a numeric suffix ("-2", "-3", etc.) to the name, taking
+ * the first suffix that is available. Sessions whose title does not yield
+ * any usable character get a channel based on their number, e.g.,
+ * "#session-42". Allocation is deterministic: the same project always yields
+ * the same channel.
+ *
+ * Events may reserve additional channels through the `reservedChannels`
+ * property of the project (a list of channel names).
+ */
+export function allocateChannel(session, project) {
+  const unavailable = new Set([
+    ...reservedChannels,
+    ...(project.reservedChannels ?? []).map(normalizeChannel),
+    ...getTakenChannels(session, project)
+  ]);
+  let base = generateChannelName(session.title);
+  if (base === '#') {
+    base = `#session-${session.number}`;
+  }
+  if (!unavailable.has(base)) {
+    return base;
+  }
+  for (let suffix = 2; ; suffix++) {
+    const name = generateChannelName(base, maxChannelLength - `-${suffix}`.length) +
+      `-${suffix}`;
+    if (!unavailable.has(name)) {
+      return name;
+    }
+  }
+}
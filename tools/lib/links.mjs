@@ -0,0 +1,122 @@
+import { todoStrings } from './todostrings.mjs';
+
+/**
+ * Helper functions to check that links to session materials (agenda, slides,
+ * minutes, calendar entry, etc.) work.
+ */
+
+/**
+ * Time to wait for a server to respond, in ms
+ */
+const defaultTimeout = 15000;
+
+
+/**
+ * Return true if the URL targets the W3C web site, where member-only pages
+ * return a 401 to anonymous requests
+ */
+function isW3CUrl(url) {
+  const host = new URL(url).host;
+  return host === 'w3.org' || host.endsWith('.w3.org');
+}
+
+
+/**
+ * Send a request to the URL with the given method, following redirects.
+ * Function returns the response, or an object with an `error` property if
+ * the request could not be completed.
+ *
+ * Links point to third-party servers, the request is sent only once, without
+ * the retries of `fetchWithRetry`: waiting for rate limits to be reset could
+ * stall the check for minutes, and would make the timeout meaningless.
+ */
+async function sendRequest(url, method, timeout) {
+  try {
+    const res = await fetch(url, {
+      method,
+      redirect: 'follow',
+      signal: AbortSignal.timeout(timeout)
+    });
+    // Response body is not needed
+    await res.body?.cancel();
+    return res;
+  }
+  catch (err) {
+    return {
+      error: (err.name === 'TimeoutError' || err.name === 'AbortError') ?
+        `no response after ${Math.round(timeout / 1000)}s` :
+        (err.cause?.message ?? err.message)
+    };
+  }
+}
+
+
+/**
+ * Check that the link works.
+ *
+ * The function sends a HEAD request to the URL, following redirects, and
+ * falls back to a GET request if the server does not accept the HEAD request
+ * (some servers reject HEAD requests or answer them with an error). A 401 on
+ * the W3C web site means that the page is member-only, so the page exists.
+ * Links that are not http(s) links (e.g., "mailto:") are not checked.
+ *
+ * The function returns an object with an `ok` property, set to true if the
+ * link works, and a `reason` property that explains the problem otherwise.
+ * When the server rejects the request because of a rate limit (429), the
+ * link cannot be checked: the function does not report it as broken, and sets
+ * an `unknown` property to true.
+ */
+export async function checkLink(url, { timeout = defaultTimeout } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  }
+  catch {
+    return { ok: false, reason: 'invalid URL' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { ok: true };
+  }
+
+  let res = await sendRequest(url, 'HEAD', timeout);
+  if (res.error || (res.status >= 400 && res.status !== 429)) {
+    res = await sendRequest(url, 'GET', timeout);
+  }
+  if (res.status === 429) {
+    return { ok: true, unknown: true, reason: 'rate limited by server' };
+  }
+  if (res.error) {
+    return { ok: false, reason: res.error };
+  }
+  if (res.status === 401 && isW3CUrl(url)) {
+    return { ok: true };
+  }
+  if (res.status >= 400) {
+    return { ok: false, reason: `HTTP status ${res.status}` };
+  }
+  return { ok: true };
+}
+
+
+/**
+ * Check the links to the materials of the session. The session description
+ * must have been parsed. Materials that have not been provided yet (TODO
+ * values) are skipped.
+ *
+ * The function returns the list of broken links, as objects with `name`
+ * (e.g., "agenda"), `url` and `reason` properties.
+ */
+export async function checkSessionMaterials(session, options) {
+  const broken = [];
+  const materials = session.description?.materials ?? {};
+  for (const [name, url] of Object.entries(materials)) {
+    if (!url || todoStrings.includes(url.toUpperCase())) {
+      continue;
+    }
+    const result = await checkLink(url, options);
+    if (!result.ok) {
+      broken.push({ name, url, reason: result.reason });
+    }
+  }
+  return broken;
+}
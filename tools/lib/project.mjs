@@ -1,4 +1,51 @@
-import { sendGraphQLRequest } from './graphql.mjs';
+import { sendGraphQLRequest, fetchAllNodes } from './graphql.mjs';
+import { roomFeatures } from './session.mjs';
+import {
+  getSnapshotFile,
+  readProjectSnapshot,
+  updateSnapshotSession } from './snapshot.mjs';
+
+/**
+ * GraphQL fragment that selects the values of project custom fields that we
+ * are interested in (single select fields such as "Room" and "Slot", text
+ * fields such as "Error" and "Note").
+ */
+const fieldValueFragment = `
+  ... on ProjectV2ItemFieldSingleSelectValue {
+    name
+    field {
+      ... on ProjectV2SingleSelectField {
+        name
+      }
+    }
+  }
+  ... on ProjectV2ItemFieldTextValue {
+    text
+    field {
+      ... on ProjectV2FieldCommon {
+        name
+      }
+    }
+  }`;
+
+
+/**
+ * GraphQL fragment to retrieve reactions to an issue: the emoji, and the login
+ * of the user who reacted.
+ */
+const reactionFragment = `
+  content
+  user {
+    login
+  }`;
+
+
+/**
+ * Regular expression that slot names must match: an optional date, followed
+ * by start and end times, e.g., "9:30 - 10:30" or "2023-09-13 9:30 - 10:30".
+ */
+const slotRegExp = /^(?:(\d{4}-\d{2}-\d{2})\s+)?(\d+):(\d+)\s*-\s*(\d+):(\d+)$/;
+
 
 /**
  * Retrieve available project data.
@@ -16,12 +63,14 @@ import { sendGraphQLRequest } from './graphql.mjs';
  *   "id": "xxxxxxx",
  *   "roomsFieldId": "xxxxxxx",
  *   "rooms": [
- *     { "id": "xxxxxxx", "name": "Salon Ecija (30)", "label": "Salon Ecija", "capacity": 30 },
+ *     { "id": "xxxxxxx", "name": "Salon Ecija (30)", "label": "Salon Ecija", "capacity": 30, "features": [] },
+ *     { "id": "xxxxxxx", "name": "Salon Goya (50) [projector, step-free]", "label": "Salon Goya", "capacity": 50, "features": ["projector", "step-free"] },
  *     ...
  *   ],
  *   "slotsFieldId": "xxxxxxx",
  *   "slots": [
- *     { "id": "xxxxxxx", "name": "9:30 - 10:30", "start": "9:30", "end": "10:30", "duration": 60 },
+ *     { "id": "xxxxxxx", "name": "9:30 - 10:30", "date": "2023-09-13", "start": "9:30", "end": "10:30", "duration": 60 },
+ *     { "id": "xxxxxxx", "name": "2023-09-14 9:30 - 10:30", "date": "2023-09-14", "start": "9:30", "end": "10:30", "duration": 60 },
  *     ...
  *   ],
  *   "severityFieldIds": {
@@ -58,8 +107,16 @@ import { sendGraphQLRequest } from './graphql.mjs';
  *     ...
  *   ]
  * }
+ *
+ * When the `PROJECT_SNAPSHOT` environment variable is set, the project is read
+ * from that snapshot file instead (see `tools/snapshot-project.mjs`).
  */
 export async function fetchProject(login, id) {
+  const snapshotFile = await getSnapshotFile();
+  if (snapshotFile) {
+    return readProjectSnapshot(snapshotFile);
+  }
+
   // Login is an organization name... or starts with "user/" to designate
   // a user project.
   const tokens = login.split('/');
@@ -67,11 +124,12 @@ export async function fetchProject(login, id) {
     'user' :
     'organization';
   login = (tokens.length === 2) ? tokens[1] : login;
+  const projectVariables = { login, number: parseInt(id, 10) };
 
   // Retrieve information about the list of rooms
-  const roomsResponse = await sendGraphQLRequest(`query {
-    ${type}(login: "${login}"){
-      projectV2(number: ${id}) {
+  const roomsResponse = await sendGraphQLRequest(`query($login: String!, $number: Int!) {
+    ${type}(login: $login){
+      projectV2(number: $number) {
         id
         url
         title
@@ -90,14 +148,14 @@ export async function fetchProject(login, id) {
         }
       }
     }
-  }`);
+  }`, projectVariables);
   const project = roomsResponse.data[type].projectV2
   const rooms = project.field;
 
   // Similar request to list time slots
-  const slotsResponse = await sendGraphQLRequest(`query {
-    ${type}(login: "${login}"){
-      projectV2(number: ${id}) {
+  const slotsResponse = await sendGraphQLRequest(`query($login: String!, $number: Int!) {
+    ${type}(login: $login){
+      projectV2(number: $number) {
         field(name: "Slot") {
           ... on ProjectV2SingleSelectField {
             id
@@ -112,16 +170,16 @@ export async function fetchProject(login, id) {
         }
       }
     }
-  }`);
+  }`, projectVariables);
   const slots = slotsResponse.data[type].projectV2.field;
 
   // Similar requests to get the ids of the custom fields used for validation
   const severityFieldIds = {};
   for (const severity of ['Error', 'Warning', 'Check', 'Note']) {
-    const response = await sendGraphQLRequest(`query {
-      ${type}(login: "${login}"){
-        projectV2(number: ${id}) {
-          field(name: "${severity}") {
+    const response = await sendGraphQLRequest(`query($login: String!, $number: Int!, $name: String!) {
+      ${type}(login: $login){
+        projectV2(number: $number) {
+          field(name: $name) {
             ... on ProjectV2FieldCommon {
               id
               name
@@ -129,87 +187,183 @@ export async function fetchProject(login, id) {
           }
         }
       }
-    }`);
+    }`, Object.assign({ name: severity }, projectVariables));
     severityFieldIds[severity] = response.data[type].projectV2.field.id;
   }
 
-  // Another request to retrieve the list of sessions associated with the project.
-  const sessionsResponse = await sendGraphQLRequest(`query {
-    ${type}(login: "${login}") {
-      projectV2(number: ${id}) {
-        items(first: 100) {
-          nodes {
-            id
-            content {
-              ... on Issue {
-                id
-                repository {
-                  owner {
-                    login
-                  }
-                  name
-                  nameWithOwner
-                }
-                number
-                state
-                title
-                body
-                labels(first: 20) {
-                  nodes {
+  // Another request to retrieve the list of sessions associated with the
+  // project. Sessions are paginated: the project may well contain more than
+  // 100 items!
+  const sessions = await fetchAllNodes(
+    `query($login: String!, $number: Int!, $after: String) {
+      ${type}(login: $login) {
+        projectV2(number: $number) {
+          items(first: 100, after: $after) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              id
+              content {
+                ... on Issue {
+                  id
+                  repository {
+                    owner {
+                      login
+                    }
                     name
+                    nameWithOwner
                   }
-                }
-                author {
-                  ... on User {
-                    databaseId
-                  }
-                  login
-                  avatarUrl
-                }
-                createdAt
-                updatedAt
-                lastEditedAt
-              }
-            }
-            fieldValues(first: 10) {
-              nodes {
-                ... on ProjectV2ItemFieldSingleSelectValue {
-                  name
-                  field {
-                    ... on ProjectV2SingleSelectField {
+                  number
+                  state
+                  title
+                  body
+                  labels(first: 20) {
+                    pageInfo {
+                      hasNextPage
+                      endCursor
+                    }
+                    nodes {
                       name
                     }
                   }
-                }
-                ... on ProjectV2ItemFieldTextValue {
-                  text
-                  field {
-                    ... on ProjectV2FieldCommon {
-                      name
+                  author {
+                    ... on User {
+                      databaseId
+                    }
+                    login
+                    avatarUrl
+                  }
+                  createdAt
+                  updatedAt
+                  lastEditedAt
+                  reactions(first: 100) {
+                    totalCount
+                    pageInfo {
+                      hasNextPage
+                      endCursor
+                    }
+                    nodes {
+                      ${reactionFragment}
                     }
                   }
                 }
               }
+              fieldValues(first: 20) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                nodes {
+                  ${fieldValueFragment}
+                }
+              }
             }
           }
         }
       }
+    }`,
+    projectVariables,
+    response => response.data[type].projectV2.items,
+    'project items');
+
+  // Labels and field values are nested connections. Most sessions will have
+  // few of them, but complete the lists with additional requests when needed.
+  for (const session of sessions) {
+    if (session.content?.labels?.pageInfo.hasNextPage) {
+      const moreLabels = await fetchAllNodes(
+        `query($id: ID!, $after: String) {
+          node(id: $id) {
+            ... on Issue {
+              labels(first: 100, after: $after) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                nodes {
+                  name
+                }
+              }
+            }
+          }
+        }`,
+        { id: session.content.id },
+        response => response.data.node.labels,
+        `labels of issue #${session.content.number}`,
+        session.content.labels.pageInfo.endCursor);
+      session.content.labels.nodes.push(...moreLabels);
+    }
+    if (session.content?.reactions?.pageInfo.hasNextPage) {
+      const moreReactions = await fetchAllNodes(
+        `query($id: ID!, $after: String) {
+          node(id: $id) {
+            ... on Issue {
+              reactions(first: 100, after: $after) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                nodes {
+                  ${reactionFragment}
+                }
+              }
+            }
+          }
+        }`,
+        { id: session.content.id },
+        response => response.data.node.reactions,
+        `reactions to issue #${session.content.number}`,
+        session.content.reactions.pageInfo.endCursor);
+      session.content.reactions.nodes.push(...moreReactions);
     }
-  }`);
-  const sessions = sessionsResponse.data[type].projectV2.items.nodes;
-
-  const repository = sessions[0].content.repository;
-  const labelsResponse = await sendGraphQLRequest(`query {
-    repository(owner: "${repository.owner.login}", name: "${repository.name}") {
-      labels(first: 50) {
-        nodes {
-          id
-          name
+    if (session.fieldValues.pageInfo.hasNextPage) {
+      const moreValues = await fetchAllNodes(
+        `query($id: ID!, $after: String) {
+          node(id: $id) {
+            ... on ProjectV2Item {
+              fieldValues(first: 100, after: $after) {
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+                nodes {
+                  ${fieldValueFragment}
+                }
+              }
+            }
+          }
+        }`,
+        { id: session.id },
+        response => response.data.node.fieldValues,
+        `field values of project item ${session.id}`,
+        session.fieldValues.pageInfo.endCursor);
+      session.fieldValues.nodes.push(...moreValues);
+    }
+  }
+
+  const repository = sessions.find(session => session.content?.repository)
+    ?.content.repository;
+  const labels = !repository ? [] : await fetchAllNodes(
+    `query($owner: String!, $name: String!, $after: String) {
+      repository(owner: $owner, name: $name) {
+        labels(first: 100, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            id
+            name
+          }
         }
       }
-    }
-  }`);
-  const labels = labelsResponse.data.repository.labels.nodes;
+    }`,
+    { owner: repository.owner.login, name: repository.name },
+    response => response.data.repository.labels,
+    `labels of repository ${repository.nameWithOwner}`);
+
+  const metadata = parseProjectDescription(project.shortDescription);
 
   // Let's combine and flatten the information a bit
   return {
@@ -222,23 +376,32 @@ export async function fetchProject(login, id) {
     // - the date of the breakout sessions
     // - the timezone to use to interpret time slots
     // - the "big meeting" value to associate calendar entries to TPAC
-    metadata: parseProjectDescription(project.shortDescription),
+    metadata,
 
     // List of rooms. For each of them, we return the exact name of the option
     // for the "Room" custom field in the project (which should include the
     // room's capacity), the actual name of the room without the capacity, and
-    // the room's capacity in number of seats.
+    // the room's capacity in number of seats. The name of the option may end
+    // with a list of room features between square brackets, e.g.,
+    // "Salon Goya (50) [projector, hybrid, step-free, tables]".
     roomsFieldId: rooms.id,
     rooms: rooms.options.map(room => {
+      const featuresMatch = room.name.match(/^(.*?)\s*\[([^\]]*)\]$/);
+      const nameWithoutFeatures = featuresMatch ? featuresMatch[1] : room.name;
       const match =
-        room.name.match(/(.*) \((\d+)\s*(?:\-\s*([^\)]+))?\)$/) ??
-        [room.name, room.name, '30', undefined];
+        nameWithoutFeatures.match(/(.*) \((\d+)\s*(?:\-\s*([^\)]+))?\)$/) ??
+        [nameWithoutFeatures, nameWithoutFeatures, '30', undefined];
       return {
         id: room.id,
-        name: match[0],
+        name: room.name,
         label: match[1],
         location: match[3] ?? '',
-        capacity: parseInt(match[2], 10)
+        capacity: parseInt(match[2], 10),
+        features: featuresMatch ?
+          featuresMatch[2].split(',')
+            .map(feature => feature.trim().toLowerCase())
+            .filter(feature => !!feature) :
+          []
       };
     }),
 
@@ -246,20 +409,23 @@ export async function fetchProject(login, id) {
     severityFieldIds: severityFieldIds,
 
     // List of slots. For each of them, we return the exact name of the option
-    // for the "Slot" custom field in the project, the start and end times and
-    // the duration in minutes.
+    // for the "Slot" custom field in the project, the date of the slot, the
+    // start and end times and the duration in minutes. Slots may start with a
+    // "YYYY-MM-DD" date when breakouts span multiple days. The date defaults
+    // to the date in the project's description otherwise.
     slotsFieldId: slots.id,
     slots: slots.options.map(slot => {
-      const times = slot.name.match(/^(\d+):(\d+)\s*-\s*(\d+):(\d+)$/) ??
-        [null, '00', '00', '01', '00'];
+      const times = slot.name.match(slotRegExp) ??
+        [null, undefined, '00', '00', '01', '00'];
       return {
         id: slot.id,
         name: slot.name,
-        start: `${times[1]}:${times[2]}`,
-        end: `${times[3]}:${times[4]}`,
+        date: times[1] ?? metadata.date,
+        start: `${times[2]}:${times[3]}`,
+        end: `${times[4]}:${times[5]}`,
         duration:
-          (parseInt(times[3], 10) * 60 + parseInt(times[4], 10)) -
-          (parseInt(times[1], 10) * 60 + parseInt(times[2], 10))
+          (parseInt(times[4], 10) * 60 + parseInt(times[5], 10)) -
+          (parseInt(times[2], 10) * 60 + parseInt(times[3], 10))
       };
     }),
 
@@ -267,6 +433,8 @@ export async function fetchProject(login, id) {
     // issues that have been associated with the project). For each session, we
     // return detailed information, including its title, full body, author,
     // labels, and the room and slot that may already have been assigned.
+    // Reactions to the issue are an interest signal: we return the total
+    // number of reactions and the list of users who reacted.
     sessions: sessions
       .filter(session => session.content.state === 'OPEN')
       .map(session => {
@@ -286,6 +454,12 @@ export async function fetchProject(login, id) {
           createdAt: session.content.createdAt,
           updatedAt: session.content.updatedAt,
           lastEditedAt: session.content.lastEditedAt,
+          reactions: {
+            count: session.content.reactions.totalCount,
+            users: [...new Set(session.content.reactions.nodes
+              .map(reaction => reaction.user?.login)
+              .filter(login => !!login))]
+          },
           room: session.fieldValues.nodes
             .find(value => value.field?.name === 'Room')?.name,
           slot: session.fieldValues.nodes
@@ -311,7 +485,10 @@ export async function fetchProject(login, id) {
  * metadata about breakout sessions: date, timezone, big meeting id
  *
  * Description needs to be a comma-separated list of parameters. Example:
- * "meeting: tpac2023, day: 2023-09-13, timezone: Europe/Madrid"
+ * "meeting: tpac2023, date: 2023-09-13, timezone: Europe/Madrid"
+ *
+ * The date is the default date of the slots. It may be omitted when all slots
+ * include their date.
  */
 function parseProjectDescription(desc) {
   const metadata = {};
@@ -324,43 +501,61 @@ function parseProjectDescription(desc) {
   return metadata;
 }
 
+/**
+ * GraphQL mutation to set the value of a custom field for a project item.
+ * Variables are the field, item and project IDs, and the value to set, see:
+ * https://docs.github.com/en/graphql/reference/input-objects#projectv2fieldvalue
+ */
+const updateFieldValueMutation = `mutation(
+    $fieldId: ID!, $itemId: ID!, $projectId: ID!, $value: ProjectV2FieldValue!) {
+  updateProjectV2ItemFieldValue(input: {
+    clientMutationId: "mutatis mutandis",
+    fieldId: $fieldId,
+    itemId: $itemId,
+    projectId: $projectId,
+    value: $value
+  }) {
+    clientMutationId
+  }
+}`;
+
+
 /**
  * Record the slot and room assignment for the provided session
  */
 export async function assignSessionsToSlotAndRoom(session, project) {
+  const snapshotFile = await getSnapshotFile();
+  if (snapshotFile) {
+    await updateSnapshotSession(snapshotFile, session, {
+      slot: session.slot,
+      room: session.room
+    });
+    return;
+  }
+
   const slot = project.slots.find(slot => session.slot === slot.name);
-  const resSlot = await sendGraphQLRequest(`mutation {
-    updateProjectV2ItemFieldValue(input: {
-      clientMutationId: "mutatis mutandis",
-      fieldId: "${project.slotsFieldId}",
-      itemId: "${session.projectItemId}",
-      projectId: "${project.id}",
-      value: {
-        singleSelectOptionId: "${slot.id}"
-      }
-    }) {
-      clientMutationId
+  const resSlot = await sendGraphQLRequest(updateFieldValueMutation, {
+    fieldId: project.slotsFieldId,
+    itemId: session.projectItemId,
+    projectId: project.id,
+    value: {
+      singleSelectOptionId: slot.id
     }
-  }`);
+  });
   if (!resSlot?.data?.updateProjectV2ItemFieldValue?.clientMutationId) {
     console.log(JSON.stringify(resSlot, null, 2));
     throw new Error(`GraphQL error, could not assign session #${session.number} to slot ${session.slot}`);
   }
 
   const room = project.rooms.find(room => session.room === room.name);
-  const resRoom = await sendGraphQLRequest(`mutation {
-    updateProjectV2ItemFieldValue(input: {
-      clientMutationId: "mutatis mutandis",
-      fieldId: "${project.roomsFieldId}",
-      itemId: "${session.projectItemId}",
-      projectId: "${project.id}",
-      value: {
-        singleSelectOptionId: "${room.id}"
-      }
-    }) {
-      clientMutationId
+  const resRoom = await sendGraphQLRequest(updateFieldValueMutation, {
+    fieldId: project.roomsFieldId,
+    itemId: session.projectItemId,
+    projectId: project.id,
+    value: {
+      singleSelectOptionId: room.id
     }
-  }`);
+  });
   if (!resRoom?.data?.updateProjectV2ItemFieldValue?.clientMutationId) {
     console.log(JSON.stringify(resRoom, null, 2));
     throw new Error(`GraphQL error, could not assign session #${session.number} to room ${session.room}`);
@@ -372,22 +567,25 @@ export async function assignSessionsToSlotAndRoom(session, project) {
  * Record session validation problems
  */
 export async function saveSessionValidationResult(session, project) {
+  const snapshotFile = await getSnapshotFile();
+  if (snapshotFile) {
+    await updateSnapshotSession(snapshotFile, session, {
+      validation: session.validation
+    });
+    return;
+  }
+
   for (const severity of ['Check', 'Warning', 'Error']) {
     const fieldId = project.severityFieldIds[severity];
     const value = session.validation[severity.toLowerCase()] ?? '';
-    const response = await sendGraphQLRequest(`mutation {
-      updateProjectV2ItemFieldValue(input: {
-        clientMutationId: "mutatis mutandis",
-        fieldId: "${fieldId}",
-        itemId: "${session.projectItemId}",
-        projectId: "${project.id}",
-        value: {
-          text: "${value}"
-        }
-      }) {
-        clientMutationId
+    const response = await sendGraphQLRequest(updateFieldValueMutation, {
+      fieldId,
+      itemId: session.projectItemId,
+      projectId: project.id,
+      value: {
+        text: value
       }
-    }`);
+    });
     if (!response?.data?.updateProjectV2ItemFieldValue?.clientMutationId) {
       console.log(JSON.stringify(response, null, 2));
       throw new Error(`GraphQL error, could not record "${severity}" for session #${session.number}`);
@@ -396,6 +594,37 @@ export async function saveSessionValidationResult(session, project) {
 }
 
 
+/**
+ * Return the slot that follows the given slot on the same day, or null if the
+ * given slot is the last one of the day.
+ */
+export function getNextSlot(slot, project) {
+  const pos = project.slots.findIndex(s => s.name === slot.name);
+  const next = project.slots[pos + 1];
+  return (next && next.date === slot.date) ? next : null;
+}
+
+
+/**
+ * Return the list of slots that the given session occupies: an empty list if
+ * the session is not scheduled, the slot assigned to the session, followed by
+ * the next slot on the same day if the session needs two consecutive slots.
+ *
+ * The session's description must have been parsed for the second slot to be
+ * returned.
+ */
+export function getSessionSlots(session, project) {
+  const slot = project.slots.find(s => s.name === session.slot);
+  if (!slot) {
+    return [];
+  }
+  const next = session.description?.duration === 'double' ?
+    getNextSlot(slot, project) :
+    null;
+  return next ? [slot, next] : [slot];
+}
+
+
 /**
  * Validate that we have the information we need about the project.
  */
@@ -410,7 +639,9 @@ export function validateProject(project) {
       errors.push('The "meeting" info in the short description is missing. Should be something like "meeting: TPAC 2023"');
     }
     if (!project.metadata.date) {
-      errors.push('The "date" info in the short description is missing. Should be something like "date: 2023-09-13"');
+      if (project.slots.find(slot => !slot.name.match(/^\d{4}-\d{2}-\d{2}\s/))) {
+        errors.push('The "date" info in the short description is missing. Should be something like "date: 2023-09-13". It may only be omitted if all slot names start with a date.');
+      }
     }
     else if (!project.metadata.date.match(/^\d{4}-\d{2}-\d{2}$/)) {
       errors.push('The "date" info in the short description must follow the YYYY-MM-DD format');
@@ -421,13 +652,53 @@ export function validateProject(project) {
   }
 
   for (const slot of project.slots) {
-    if (!slot.name.match(/^(\d+):(\d+)\s*-\s*(\d+):(\d+)$/)) {
-      errors.push(`Invalid slot name "${slot.name}". Format should be "HH:mm - HH:mm"`);
+    if (!slot.name.match(slotRegExp)) {
+      errors.push(`Invalid slot name "${slot.name}". Format should be "HH:mm - HH:mm" or "YYYY-MM-DD HH:mm - HH:mm"`);
+    }
+    if (slot.duration <= 0) {
+      errors.push(`Unexpected slot duration ${slot.duration}. Slot "${slot.name}" must end after it starts.`);
     }
-    if (slot.duration !== 30 && slot.duration !== 60) {
-      errors.push(`Unexpected slot duration ${slot.duration}. Duration should be 30 or 60 minutes.`);
+  }
+
+  for (const room of project.rooms) {
+    const unknown = (room.features ?? [])
+      .filter(feature => !roomFeatures[feature]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown features in room "${room.name}": ${unknown.join(', ')}. Known features are ${Object.keys(roomFeatures).join(', ')}`);
+    }
+  }
+
+  // Locations in the distance matrix must match the location (or label) of
+  // at least one room, see tools/lib/travel.mjs
+  const locations = project.rooms.map(room => room.location || room.label);
+  const matrixLocations = new Set();
+  for (const [from, distances] of Object.entries(project.roomDistances ?? {})) {
+    matrixLocations.add(from);
+    Object.keys(distances).forEach(location => matrixLocations.add(location));
+  }
+  for (const location of matrixLocations) {
+    if (!locations.includes(location)) {
+      errors.push(`Unknown room location "${location}" in room distances`);
     }
   }
 
   return errors;
-}
\ No newline at end of file
+}
+
+/**
+ * Return true if the given slot matches one of the slot specifications in the
+ * given list, as parsed from the "Unavailable slots" and "Preferred slots"
+ * sections of session descriptions. A slot specification is an object with a
+ * `date` property, a `start` property, or both. A specification without start
+ * time matches all slots of the day. A specification without date matches
+ * slots that start at the given time on any day.
+ */
+export function isSlotInList(slot, list) {
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(n => parseInt(n, 10));
+    return hours * 60 + minutes;
+  };
+  return !!(list ?? []).find(spec =>
+    (!spec.date || spec.date === slot.date) &&
+    (!spec.start || toMinutes(spec.start) === toMinutes(slot.start)));
+}
@@ -0,0 +1,203 @@
+/**
+ * Helper functions to serialize validation results in machine-readable
+ * formats, so that dashboards, CI summaries and the GitHub checks UI can
+ * consume them directly.
+ *
+ * Validation results are the error objects that `validateSession` returns,
+ * with `session`, `severity`, `type` and `messages` properties.
+ */
+
+/**
+ * Supported output formats
+ */
+export const reportFormats = ['json', 'sarif', 'junit'];
+
+
+/**
+ * Extract the "--format [format]" (or "--format=[format]") option from the
+ * given list of command-line arguments.
+ *
+ * The function returns the format, or null if the option is not present, and
+ * the list of remaining arguments. It throws if the format is not supported.
+ */
+export function extractFormatOption(args) {
+  const remaining = [];
+  let format = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--format') {
+      format = args[i + 1] ?? '';
+      i++;
+    }
+    else if (args[i].startsWith('--format=')) {
+      format = args[i].substring('--format='.length);
+    }
+    else {
+      remaining.push(args[i]);
+    }
+  }
+  if (format !== null && !reportFormats.includes(format)) {
+    throw new Error(`Unsupported format "${format}". Format must be one of ${reportFormats.join(', ')}`);
+  }
+  return { format, args: remaining };
+}
+
+
+/**
+ * Escape a string for use in XML content and attributes
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+
+/**
+ * Return the ID of the rule that the error object reports on, e.g.,
+ * "warning/chair-conflict"
+ */
+function getRuleId(error) {
+  return `${error.severity}/${error.type.replace(/\s+/g, '-')}`;
+}
+
+
+/**
+ * File in the repository that SARIF results point to. Sessions are issues,
+ * not files: the closest file is the issue template that defines the format
+ * of session descriptions.
+ */
+const sessionTemplateUri = '.github/ISSUE_TEMPLATE/session.yml';
+
+
+/**
+ * Serialize results as a SARIF log (version 2.1.0). Each error object becomes
+ * a result whose logical location is the session issue. Errors map to the
+ * "error" level, warnings to "warning", checks to "note". Structured details
+ * of errors, if any, are reported as properties of results.
+ *
+ * GitHub code scanning requires a physical location for each result, which
+ * must be a file in the repository. Results point to the session issue
+ * template, without any region since lines of issue bodies do not match
+ * lines in that file. The session issue itself is the logical location, and
+ * line numbers in issue bodies, if any, remain in the details.
+ */
+function toSarif(errors, { name, project }) {
+  const levels = { error: 'error', warning: 'warning', check: 'note' };
+  const rules = [...new Set(errors.map(getRuleId))]
+    .sort()
+    .map(id => {
+      const error = errors.find(err => getRuleId(err) === id);
+      return {
+        id,
+        name: error.type,
+        shortDescription: { text: `${error.severity}: ${error.type}` },
+        defaultConfiguration: { level: levels[error.severity] ?? 'none' }
+      };
+    });
+  const results = errors.map(error => {
+    const session = project.sessions.find(s => s.number === error.session);
+    return {
+      ruleId: getRuleId(error),
+      ruleIndex: rules.findIndex(rule => rule.id === getRuleId(error)),
+      level: levels[error.severity] ?? 'none',
+      message: { text: error.messages.join('\n') },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: sessionTemplateUri }
+        },
+        logicalLocations: [{
+          name: `#${error.session}`,
+          fullyQualifiedName: session?.repository ?
+            `${session.repository}#${error.session}` :
+            `#${error.session}`,
+          kind: 'issue'
+        }]
+      }],
+      properties: error.details ? { details: error.details } : undefined
+    };
+  });
+  const repository = project.sessions.find(s => s.repository)?.repository;
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name,
+          informationUri: repository ? `https://github.com/${repository}` : undefined,
+          rules
+        }
+      },
+      results
+    }]
+  }, null, 2);
+}
+
+
+/**
+ * Serialize results as a JUnit XML report. Each validated session becomes a
+ * test case that fails when the session has errors. Warnings and checks do
+ * not make the test case fail, they are reported in its standard output.
+ */
+function toJUnit(errors, { name, sessions }) {
+  const lines = [];
+  const cases = sessions.map(session => {
+    const sessionErrors = errors.filter(err => err.session === session.number);
+    return {
+      session,
+      failures: sessionErrors.filter(err => err.severity === 'error'),
+      others: sessionErrors.filter(err => err.severity !== 'error')
+    };
+  });
+  const nbFailures = cases.filter(c => c.failures.length > 0).length;
+  const formatError = err => `${err.severity}: ${err.type}: ${err.messages.join(', ')}`;
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="${escapeXml(name)}" tests="${cases.length}" failures="${nbFailures}">`);
+  lines.push(`  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${nbFailures}" errors="0" skipped="0">`);
+  for (const { session, failures, others } of cases) {
+    const attrs = `classname="${escapeXml(session.repository ?? name)}" name="${escapeXml(`#${session.number}: ${session.title}`)}"`;
+    if (failures.length === 0 && others.length === 0) {
+      lines.push(`    <testcase ${attrs}/>`);
+      continue;
+    }
+    lines.push(`    <testcase ${attrs}>`);
+    if (failures.length > 0) {
+      const message = failures.map(err => `${err.severity}: ${err.type}`).join(', ');
+      lines.push(`      <failure message="${escapeXml(message)}" type="${escapeXml(failures[0].type)}">${escapeXml(failures.map(formatError).join('\n'))}</failure>`);
+    }
+    if (others.length > 0) {
+      lines.push(`      <system-out>${escapeXml(others.map(formatError).join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+
+/**
+ * Serialize the given validation results in the requested format ("json",
+ * "sarif" or "junit").
+ *
+ * Options:
+ * - name: name of the tool that produced the results
+ * - project: the project, used to link results to session issues
+ * - sessions: the list of sessions that were validated, including those
+ * without any problem (JUnit reports list them as passed test cases)
+ */
+export function formatValidationResults(errors, format, options) {
+  switch (format) {
+  case 'json':
+    return JSON.stringify(errors, null, 2);
+  case 'sarif':
+    return toSarif(errors, options);
+  case 'junit':
+    return toJUnit(errors, options);
+  default:
+    throw new Error(`Unsupported format "${format}". Format must be one of ${reportFormats.join(', ')}`);
+  }
+}
@@ -0,0 +1,536 @@
+import { readFile } from 'node:fs/promises';
+import { getEnvKey } from './envkeys.mjs';
+import { getSessionSlots, getNextSlot, isSlotInList } from './project.mjs';
+import { diagnoseSessionBody, validateSessionBody, parseSessionBody, roomFeatures } from './session.mjs';
+import { fetchSessionChairs, validateSessionChairs } from './chairs.mjs';
+import { getChairCommitments } from './commitments.mjs';
+import { getTravelIssues, formatTravelIssue } from './travel.mjs';
+import { findSimilarSessions, indexSessions } from './similarity.mjs';
+import { checkSessionMaterials } from './links.mjs';
+import { normalizeChannel } from './irc.mjs';
+import { todoStrings } from './todostrings.mjs';
+
+/**
+ * Validation rules that `validateSession` evaluates, in order.
+ *
+ * Each rule has:
+ * - an `id`, which identifies the rule in the rules configuration file.
+ * - a `type`, the validation result that the rule reports, which is also the
+ * value that gets stored in the project's "Error", "Warning" or "Check"
+ * field. The type defaults to the id. Two rules may report the same type.
+ * - a default `severity`: "error", "warning" or "check".
+ * - a `scheduling` flag, set when the rule reports problems that may arise
+ * when an admin chooses a room and slot. Scheduling tools only manage the
+ * results of these rules.
+ * - an `appliesWhen` function that receives the session and the project, and
+ * returns true when the rule needs to be evaluated.
+ * - a `messages` function, possibly async, that receives the session and the
+ * project, and returns the list of problems found, as human-readable
+ * messages. An empty list means that the session passes the rule. Problems
+ * may also be structured objects with a `message` property, in which case
+ * they are also reported as `details` of the validation result.
+ *
+ * Rules may also be flagged as `mandatory` (the rule cannot be disabled,
+ * other rules depend on it), `halt` (no other rule gets evaluated when the
+ * rule reports a problem), or disabled by default (`enabled: false`).
+ *
+ * Some rules are too slow to be evaluated each time a session gets validated,
+ * typically because they need to fetch resources on the Web. These rules
+ * have a `managedBy` property set to the name of the tool that evaluates them
+ * periodically. `validateSession` skips them, and other tools preserve the
+ * results that they reported (see `getManagedResults`).
+ *
+ * Rules configuration files may enable, disable or re-grade rules for a given
+ * event, see `loadRulesConfig`.
+ */
+export const validationRules = [
+  {
+    // Cannot validate the rest if body cannot be parsed
+    id: 'format',
+    severity: 'error',
+    mandatory: true,
+    halt: true,
+    appliesWhen: session => !session.description,
+    messages: session => {
+      const diagnostics = diagnoseSessionBody(session.body);
+      if (diagnostics.length === 0) {
+        session.description = parseSessionBody(session.body);
+      }
+      return diagnostics;
+    }
+  },
+
+  {
+    // Retrieve information about chairs, unless that was already done
+    id: 'chairs',
+    severity: 'error',
+    mandatory: true,
+    appliesWhen: _ => true,
+    messages: async (session, project) => {
+      if (!session.chairs) {
+        session.chairs = await fetchSessionChairs(session, project.chairsToW3CID);
+      }
+      return validateSessionChairs(session.chairs);
+    }
+  },
+
+  {
+    // Make sure sessions identified as conflicting actually exist
+    id: 'conflict list',
+    type: 'conflict',
+    severity: 'error',
+    appliesWhen: session => !!session.description.conflicts,
+    messages: (session, project) => getConflictListErrors(session, project)
+  },
+
+  {
+    // Make sure there is no session scheduled at the same time in the same room
+    id: 'scheduling',
+    severity: 'error',
+    scheduling: true,
+    appliesWhen: session => session.room && session.slot,
+    messages: (session, project) => project.sessions
+      .filter(s => s !== session && s.room && s.slot)
+      .filter(s => s.room === session.room && atSameTime(s, session, project))
+      .map(s => `Session scheduled in same room (${s.room}) and same slot (${s.slot}) as session "${s.title}" (${s.number})`)
+  },
+
+  {
+    // Check assigned room matches requested capacity
+    id: 'capacity',
+    severity: 'warning',
+    scheduling: true,
+    appliesWhen: session => session.room && session.description.capacity,
+    messages: (session, project) => {
+      const room = project.rooms.find(s => s.name === session.room);
+      return room.capacity < session.description.capacity ?
+        ['Room capacity is lower than requested capacity'] :
+        [];
+    }
+  },
+
+  {
+    // Check assigned room has the features that the session requires
+    id: 'room features',
+    severity: 'warning',
+    scheduling: true,
+    appliesWhen: session => session.room && session.description.requirements?.length > 0,
+    messages: (session, project) => {
+      const room = project.rooms.find(s => s.name === session.room);
+      const missing = session.description.requirements
+        .filter(feature => !room.features?.includes(feature));
+      return missing.length > 0 ?
+        [`Room does not have required features: ${missing.map(f => roomFeatures[f]).join(', ')}`] :
+        [];
+    }
+  },
+
+  {
+    // Check assigned slot meets requested duration
+    id: 'duration',
+    severity: 'warning',
+    scheduling: true,
+    appliesWhen: session => !!session.slot,
+    messages: (session, project) => {
+      const slot = project.slots.find(s => s.name === session.slot);
+      const duration = session.description.duration;
+      if (duration === 'double') {
+        if (!getNextSlot(slot, project)) {
+          return [`No slot after "${slot.name}" on the same day, session needs two consecutive slots`];
+        }
+      }
+      else if (slot.duration < duration) {
+        return [`Slot duration (${slot.duration} minutes) is shorter than requested duration (${duration} minutes)`];
+      }
+      return [];
+    }
+  },
+
+  {
+    // Check that chairs are available during the slot(s) assigned to the
+    // session
+    id: 'availability',
+    severity: 'error',
+    scheduling: true,
+    appliesWhen: session => session.slot && session.description.unavailable?.length > 0,
+    messages: (session, project) => getSessionSlots(session, project)
+      .filter(slot => isSlotInList(slot, session.description.unavailable))
+      .map(slot => `Session chairs are not available during slot "${slot.name}"`)
+  },
+
+  {
+    // Check absence of conflict with sessions with same chair(s)
+    id: 'chair conflict',
+    severity: 'error',
+    scheduling: true,
+    appliesWhen: session => !!session.slot,
+    messages: (session, project) => {
+      const chairConflictErrors = project.sessions
+        .filter(s => s !== session && atSameTime(s, session, project))
+        .filter(s => {
+          try {
+            const sdesc = parseSessionBody(s.body);
+            const sAuthorExcluded = sdesc.chairs
+              .find(c => c.name?.toLowerCase() === 'author--');
+            if (!sAuthorExcluded && session.chairs.find(c => c.login === s.author.login)) {
+              return true;
+            }
+            const inboth = sdesc.chairs.find(chair => session.chairs.find(c =>
+              (c.login && c.login.toLowerCase() === chair.login?.toLowerCase()) ||
+              (c.name && c.name.toLowerCase() === chair.name?.toLowerCase())));
+            return !!inboth;
+          }
+          catch {
+            return false;
+          }
+        })
+        .map(s => `Same slot as session "${s.title}" (#${s.number}), which share a common chair`);
+
+      // Chairs may also have other commitments, e.g., group meetings, at the
+      // same time, when an external schedule is known
+      const commitments = getChairCommitments(
+        session, getSessionSlots(session, project), project);
+      for (const commitment of commitments) {
+        chairConflictErrors.push(`Chair ${commitment.chair.name ?? commitment.chair.login} has another commitment during slot "${commitment.slot.name}": "${commitment.meeting.title}"`);
+      }
+      return chairConflictErrors;
+    }
+  },
+
+  {
+    // Check assigned slot is different from conflicting sessions
+    // (skipped if the list of conflicting sessions is invalid)
+    id: 'conflict',
+    severity: 'warning',
+    scheduling: true,
+    appliesWhen: (session, project) => session.slot &&
+      session.description.conflicts &&
+      getConflictListErrors(session, project).length === 0,
+    messages: (session, project) => session.description.conflicts
+      .map(number => project.sessions.find(s => s.number === number))
+      .filter(conflictingSession => atSameTime(conflictingSession, session, project))
+      .map(conflictingSession => `Same slot "${session.slot}" as conflicting session "${conflictingSession.title}" (#${conflictingSession.number})`)
+  },
+
+  {
+    // Check absence of conflict with sessions in the same track(s)
+    id: 'track',
+    severity: 'warning',
+    scheduling: true,
+    appliesWhen: session => !!session.slot,
+    messages: (session, project) => {
+      const tracks = session.labels.filter(label => label.startsWith('track: '));
+      let tracksWarnings = [];
+      for (const track of tracks) {
+        const trackWarnings = project.sessions
+          .filter(s => s !== session && s.labels.includes(track))
+          .filter(other => atSameTime(other, session, project))
+          .map(other => `Same slot "${session.slot}" as session in same track "${track}": "${other.title}" (#${other.number})`);
+        tracksWarnings = tracksWarnings.concat(trackWarnings);
+      }
+      return tracksWarnings;
+    }
+  },
+
+  {
+    // Check that chairs and tracks do not need to rush from one room to a
+    // room that is far away between back-to-back sessions
+    id: 'travel',
+    severity: 'warning',
+    scheduling: true,
+    appliesWhen: session => session.room && session.slot,
+    messages: (session, project) => {
+      const others = project.sessions.filter(s => s !== session && s.room && s.slot);
+      for (const other of others) {
+        if (!other.description && validateSessionBody(other.body).length === 0) {
+          other.description = parseSessionBody(other.body);
+        }
+      }
+      return getTravelIssues(session, others, project).map(formatTravelIssue);
+    }
+  },
+
+  {
+    // No two sessions can use the same IRC channel during the same slot
+    id: 'irc',
+    severity: 'error',
+    scheduling: true,
+    appliesWhen: session => !!session.description.shortname,
+    messages: (session, project) => project.sessions
+      .filter(s => s.number !== session.number && atSameTime(s, session, project))
+      .filter(s => s.description?.shortname &&
+        normalizeChannel(s.description.shortname) === normalizeChannel(session.description.shortname))
+      .map(s => `Same IRC channel "${s.description.shortname}" as session #${s.number} ${s.title}`)
+  },
+
+  {
+    // Check presence of comments
+    id: 'instructions',
+    severity: 'check',
+    appliesWhen: session => !!session.description.comments,
+    messages: _ => ['Session contains instructions for meeting planners']
+  },
+
+  {
+    // Flag sessions that look like duplicates of other sessions, so that
+    // planners may suggest merging them before the grid gets built
+    id: 'duplicate',
+    severity: 'check',
+    appliesWhen: _ => true,
+    messages: (session, project) => findSimilarSessions(session, getSimilarityIndex(session, project))
+      .map(({ session: other, similarity }) => `Looks similar to session "${other.title}" (#${other.number}), ${Math.round(similarity * 100)}% similarity`)
+  },
+
+  {
+    // If breakout session took place more than 2 days ago,
+    // time to add a link to the minutes
+    id: 'minutes',
+    severity: 'warning',
+    appliesWhen: session => session.room && session.slot,
+    messages: (session, project) => {
+      const twoDaysInMs = 48 * 60 * 60 * 1000;
+      const sessionDate = project.slots.find(s => s.name === session.slot)?.date ??
+        project.metadata.date;
+      const atLeastTwoDaysOld = (
+          (new Date()).getTime() -
+          (new Date(sessionDate)).getTime()
+        ) > twoDaysInMs;
+      return (isMaterialMissing(session, 'minutes') && atLeastTwoDaysOld) ?
+        ['Session needs a link to the minutes'] :
+        [];
+    }
+  },
+
+  {
+    // Minutes should ideally be stored on www.w3.org
+    id: 'minutes origin',
+    severity: 'warning',
+    appliesWhen: session => !isMaterialMissing(session, 'minutes'),
+    messages: session => session.description.materials.minutes
+        .match(/\/(www|lists)\.w3\.org\//) ?
+      [] :
+      ['Minutes not stored on w3.org']
+  },
+
+  {
+    // Links to materials should work. Checking links takes time, the rule is
+    // evaluated periodically by the check-materials tool
+    id: 'broken link',
+    severity: 'warning',
+    managedBy: 'check-materials',
+    appliesWhen: session => !!session.description,
+    messages: async session => (await checkSessionMaterials(session))
+      .map(link => `Link to ${link.name} is broken (${link.reason}): ${link.url}`)
+  }
+];
+
+
+/**
+ * Valid severities, and values that enable or disable a rule in a rules
+ * configuration file
+ */
+const severities = ['error', 'warning', 'check'];
+const enableValues = [true, 'on'];
+const disableValues = [false, 'off'];
+
+
+/**
+ * Rules configuration that `getValidationRules` uses, loaded once from the
+ * file that the `VALIDATION_RULES` environment variable (or `config.json` key)
+ * points to.
+ */
+let rulesConfig = null;
+
+
+/**
+ * Return true if the given sessions are scheduled at the same time, meaning
+ * that they share at least one slot (a session may span two slots).
+ *
+ * The function parses the description of sessions that have not been
+ * validated yet, provided that their body can be parsed.
+ */
+function atSameTime(s1, s2, project) {
+  for (const s of [s1, s2]) {
+    if (!s.description && validateSessionBody(s.body).length === 0) {
+      s.description = parseSessionBody(s.body);
+    }
+  }
+  const slots2 = getSessionSlots(s2, project);
+  return getSessionSlots(s1, project).some(slot => slots2.includes(slot));
+}
+
+
+/**
+ * Return the text that describes the session, to compare sessions with one
+ * another: the title (which counts twice), the description and the goal of the
+ * session, or the whole body if it cannot be parsed.
+ */
+function getSessionText(session) {
+  if (!session.description && validateSessionBody(session.body).length === 0) {
+    session.description = parseSessionBody(session.body);
+  }
+  const text = session.description ?
+    [session.description.description, session.description.goal].join('\n') :
+    session.body;
+  return [session.title, session.title, text].join('\n');
+}
+
+
+/**
+ * Return the similarity index of the sessions of the project, which must
+ * contain the given session (see `indexSessions`).
+ *
+ * The index is computed once and cached in the project, so that checking all
+ * sessions for duplicates does not require indexing all sessions each time.
+ * It gets computed again when the given session is not in the index or when
+ * its text changed since then (e.g., because its description was fixed).
+ */
+function getSimilarityIndex(session, project) {
+  const index = project.similarityIndex;
+  const pos = index ? index.sessions.indexOf(session) : -1;
+  if (pos === -1 || index.texts[pos] !== getSessionText(session)) {
+    project.similarityIndex = indexSessions(
+      project.sessions.includes(session) ?
+        project.sessions :
+        project.sessions.concat(session),
+      getSessionText);
+  }
+  return project.similarityIndex;
+}
+
+
+/**
+ * Return the list of problems with the list of conflicting sessions
+ */
+function getConflictListErrors(session, project) {
+  return session.description.conflicts
+    .map(number => {
+      if (number === session.number) {
+        return `Session cannot conflict with itself`;
+      }
+      const conflictingSession = project.sessions.find(s => s.number === number);
+      if (!conflictingSession) {
+        return `Conflicting session ${number} is not in the project`;
+      }
+      return null;
+    })
+    .filter(error => !!error);
+}
+
+
+/**
+ * Return true if the given material is missing from the session description
+ */
+function isMaterialMissing(session, name) {
+  return !session.description.materials[name] ||
+    todoStrings.includes(session.description.materials[name].toUpperCase());
+}
+
+
+/**
+ * Load a rules configuration file.
+ *
+ * The file must be a JSON file whose "rules" property maps rule IDs to either
+ * "off" (or false) to disable the rule, "on" (or true) to enable the rule with
+ * its default severity, or a severity ("error", "warning" or "check") to
+ * enable the rule and re-grade it. For instance, to stop warning about
+ * minutes that are not stored on w3.org, and to turn capacity warnings into
+ * errors:
+ * {
+ *   "rules": {
+ *     "minutes origin": "off",
+ *     "capacity": "error"
+ *   }
+ * }
+ *
+ * Rules that do not appear in the file keep their default settings. The
+ * function throws if the file references an unknown rule, uses an invalid
+ * value, or disables or re-grades a mandatory or halting rule (other rules
+ * and tools depend on these rules reporting errors).
+ */
+export async function loadRulesConfig(filename) {
+  const config = JSON.parse(await readFile(filename, 'utf8'));
+  for (const [id, value] of Object.entries(config.rules ?? {})) {
+    const rule = validationRules.find(rule => rule.id === id);
+    if (!rule) {
+      throw new Error(`Unknown rule "${id}" in rules configuration. Known rules are ${validationRules.map(rule => rule.id).join(', ')}`);
+    }
+    if (!severities.includes(value) &&
+        !enableValues.includes(value) &&
+        !disableValues.includes(value)) {
+      throw new Error(`Invalid value "${value}" for rule "${id}" in rules configuration. Value must be one of "on", "off", ${severities.map(s => `"${s}"`).join(', ')}`);
+    }
+    if (rule.mandatory && disableValues.includes(value)) {
+      throw new Error(`Rule "${id}" cannot be disabled`);
+    }
+    if ((rule.mandatory || rule.halt) &&
+        severities.includes(value) && value !== rule.severity) {
+      throw new Error(`Rule "${id}" cannot be re-graded`);
+    }
+  }
+  return config;
+}
+
+
+/**
+ * Return the list of rules to evaluate, in order, with their actual severity,
+ * once the rules configuration, if any, has been applied. Disabled rules are
+ * not part of the list.
+ */
+export async function getValidationRules() {
+  if (!rulesConfig) {
+    const filename = await getEnvKey('VALIDATION_RULES', '');
+    rulesConfig = filename ? await loadRulesConfig(filename) : {};
+  }
+  const settings = rulesConfig.rules ?? {};
+  return validationRules
+    .filter(rule => Object.hasOwn(settings, rule.id) ?
+      !disableValues.includes(settings[rule.id]) :
+      rule.enabled !== false)
+    .map(rule => Object.assign({}, rule, {
+      type: rule.type ?? rule.id,
+      severity: severities.includes(settings[rule.id]) ?
+        settings[rule.id] :
+        rule.severity
+    }));
+}
+
+
+/**
+ * Return the list of validation results that scheduling rules may report, in
+ * the form "[severity]: [type]", e.g., "warning: capacity".
+ */
+export async function getSchedulingErrors() {
+  return (await getValidationRules())
+    .filter(rule => rule.scheduling)
+    .map(rule => `${rule.severity}: ${rule.type}`);
+}
+
+
+/**
+ * Return the list of validation results that rules evaluated by specific
+ * tools may report, in the form "[severity]: [type]", e.g.,
+ * "warning: broken link". Other tools must preserve these results when they
+ * update validation results.
+ */
+export async function getManagedResults() {
+  return (await getValidationRules())
+    .filter(rule => rule.managedBy)
+    .map(rule => `${rule.severity}: ${rule.type}`);
+}
+
+
+/**
+ * Return true if the note that admins may attach to a session says that the
+ * given warning type should be ignored for that session. The note may contain
+ * "-warning:[type]", "-warn:[type]" or "-w:[type]" tokens to that effect.
+ */
+export function isWarningSuppressedByNote(session, type) {
+  const note = session.validation?.note;
+  if (!note) {
+    return false;
+  }
+  return note.includes(`-warning:${type}`) ||
+    note.includes(`-warn:${type}`) ||
+    note.includes(`-w:${type}`);
+}
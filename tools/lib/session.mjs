@@ -2,15 +2,31 @@ import { readFile } from 'node:fs/promises';
 import * as path from 'node:path';
 import * as YAML from 'yaml';
 import { fileURLToPath } from 'url';
-import { sendGraphQLRequest } from './graphql.mjs';
+import { sendGraphQLRequest, fetchAllNodes } from './graphql.mjs';
+import { getSnapshotFile, updateSnapshotSession } from './snapshot.mjs';
 import { todoStrings } from './todostrings.mjs';
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
 
 
+/**
+ * Room features that sessions may require, indexed by the identifier used in
+ * room names (see `fetchProject`), with the matching option in the "Room
+ * requirements" section of the session template.
+ */
+export const roomFeatures = {
+  'projector': 'Projector',
+  'hybrid': 'Hybrid A/V (remote participation)',
+  'step-free': 'Step-free access',
+  'tables': 'Table layout'
+};
+
+
 /**
  * The list of sections that may be found in a session body and, for each of
- * them, a `validate` function to validate the format of the section and a
- * `parse` function to return interpreted values.
+ * them, a `diagnose` function that returns the offending values in the
+ * section (along with the reason why they are invalid), a `validate` function
+ * to validate the format of the section, a `parse` function to return
+ * interpreted values and a `serialize` function to do the reverse.
  *
  * The list needs to be populated once and for all through a call to the async
  * `initSectionHandlers` function, which reads section info from the
@@ -72,18 +88,24 @@ export async function initSectionHandlers() {
     .map(section => {
       const handler = {
         id: section.id,
+        type: section.type,
         title: section.attributes.label.replace(/ \(Optional\)$/, ''),
         required: !!section.validations?.required,
-        validate: value => true,
+        diagnose: value => [],
         parse: value => value,
         serialize: value => value
       };
       if (section.type === 'dropdown') {
-        handler.options = section.attributes.options.map(o => o.toLowerCase());
-        handler.validate = value => handler.options.includes(value.toLowerCase());
+        handler.options = section.attributes.options;
+        handler.diagnose = value => handler.options.find(option =>
+            option.toLowerCase() === value.toLowerCase()) ?
+          [] :
+          [{ value, reason: `expected one of ${section.attributes.options.map(o => `"${o}"`).join(', ')}` }];
       }
       else if (section.type === 'input') {
-        handler.validate = value => !value.match(/\n/)
+        handler.diagnose = value => value.match(/\n/) ?
+          [{ value, reason: 'value must fit on a single line' }] :
+          [];
       }
       return handler;
     })
@@ -91,6 +113,9 @@ export async function initSectionHandlers() {
       // Add custom validation constraints and parse/serialize logic
       // Ideally, this logic would be encoded in session.yml but GitHub rejects
       // additional properties in issue template files.
+      // Validation constraints are expressed as `diagnose` functions that
+      // return the list of offending values in the section, along with the
+      // reason why they are invalid.
       switch (handler.id) {
 
       case 'description':
@@ -100,7 +125,7 @@ export async function initSectionHandlers() {
       case 'goal':
         // Relax, people may use markdown after all
         // TODO: validate that markdown remains simple enough
-        handler.validate = value => true;
+        handler.diagnose = value => [];
         break;
 
       case 'chairs':
@@ -116,17 +141,21 @@ export async function initSectionHandlers() {
               return { name: nick };
             }
           });
-        handler.validate = value => {
-          const chairs = parseList(value, { spaceSeparator: true, prefix: '@' });
-          return chairs.every(nick => nick.match(/^(@[A-Za-z0-9][A-Za-z0-9\-]+|[^@]+)$/));
-        }
+        handler.diagnose = value => parseList(value, { spaceSeparator: true, prefix: '@' })
+          .filter(nick => !nick.match(/^(@[A-Za-z0-9][A-Za-z0-9\-]+|[^@]+)$/))
+          .map(nick => ({
+            value: nick,
+            reason: 'not a valid GitHub handle (e.g., "@tidoust") or name'
+          }));
         handler.serialize = value => value
           .map(nick => nick.login ? `@${nick.login}` : nick.name)
           .join(', ');
         break;
 
       case 'shortname':
-        handler.validate = value => value.match(/^#?[A-Za-z0-9\-_]+$/);
+        handler.diagnose = value => value.match(/^#?[A-Za-z0-9\-_]+$/) ?
+          [] :
+          [{ value, reason: 'IRC channel may only contain letters, digits, "-" and "_"' }];
         break;
 
       case 'attendance':
@@ -137,18 +166,66 @@ export async function initSectionHandlers() {
         break;
 
       case 'duration':
-        handler.parse = value => value.toLowerCase() === '30 minutes' ? 30 : 60;
-        handler.serialize = value => value === 30 ? '30 minutes' : '60 minutes (Default)';
+        // Duration is a number of minutes, or "double" for sessions that
+        // need two consecutive slots
+        handler.parse = value => {
+          if (value.toLowerCase() === 'two consecutive slots') {
+            return 'double';
+          }
+          const match = value.match(/^(\d+) minutes/i);
+          return match ? parseInt(match[1], 10) : 60;
+        };
+        handler.serialize = value => {
+          if (value === 'double') {
+            return 'Two consecutive slots';
+          }
+          return value === 60 ? '60 minutes (Default)' : `${value} minutes`;
+        };
+        break;
+
+      case 'unavailable':
+      case 'preferred':
+        // List of slots, identified by a start time, a date, or both, e.g.,
+        // "9:30", "2023-09-13 9:30", "2023-09-14"
+        // (end times, as in "9:30 - 10:30", are accepted and ignored)
+        const slotRegExp = /^(?:(\d{4}-\d{2}-\d{2}))?\s*(?:(\d{1,2}:\d{2})(?:\s*-\s*\d{1,2}:\d{2})?)?$/;
+        handler.parse = value => parseList(value, { spaceSeparator: false })
+          .map(token => token.match(slotRegExp))
+          .filter(match => match && (match[1] || match[2]))
+          .map(match => {
+            const spec = {};
+            if (match[1]) {
+              spec.date = match[1];
+            }
+            if (match[2]) {
+              spec.start = match[2];
+            }
+            return spec;
+          });
+        handler.diagnose = value => parseList(value, { spaceSeparator: false })
+          .filter(token => {
+            const match = token.match(slotRegExp);
+            return !(match && (match[1] || match[2]));
+          })
+          .map(token => ({
+            value: token,
+            reason: 'not a valid slot, expected a start time, a date or both (e.g., "9:30", "2023-09-13", "2023-09-13 9:30")'
+          }));
+        handler.serialize = value => value
+          .map(spec => [spec.date, spec.start].filter(v => !!v).join(' '))
+          .join(', ');
         break;
 
       case 'conflicts':
         // List of GitHub issues
         handler.parse = value => parseList(value, { spaceSeparator: true, prefix: '#' })
           .map(issue => parseInt(issue.substring(1), 10));
-        handler.validate = value => {
-          const conflictingSessions = parseList(value, { spaceSeparator: true, prefix: '#' });
-          return conflictingSessions.every(issue => issue.match(/^#\d+$/));
-        };
+        handler.diagnose = value => parseList(value, { spaceSeparator: true, prefix: '#' })
+          .filter(issue => !issue.match(/^#\d+$/))
+          .map(issue => ({
+            value: issue,
+            reason: 'not a session issue number (e.g., "#42")'
+          }));
         handler.serialize = value => value.map(issue => `#${issue}`).join(', ');
         break;
 
@@ -172,6 +249,26 @@ export async function initSectionHandlers() {
         }
         break;
 
+      case 'requirements':
+        // List of room features, from a dropdown that accepts multiple
+        // values (GitHub serializes them as a comma-separated list)
+        const featureIds = Object.keys(roomFeatures);
+        const toFeature = label => featureIds.find(id =>
+          roomFeatures[id].toLowerCase() === label.toLowerCase());
+        handler.parse = value => parseList(value, { spaceSeparator: false })
+          .map(toFeature)
+          .filter(feature => !!feature);
+        handler.diagnose = value => parseList(value, { spaceSeparator: false })
+          .filter(label => !toFeature(label))
+          .map(label => ({
+            value: label,
+            reason: `unknown room requirement, expected one of ${Object.values(roomFeatures).map(f => `"${f}"`).join(', ')}`
+          }));
+        handler.serialize = value => value
+          .map(feature => roomFeatures[feature])
+          .join(', ');
+        break;
+
       case 'materials':
         const capitalize = str => str.slice(0, 1).toUpperCase() + str.slice(1);
         handler.parse = value => {
@@ -183,27 +280,28 @@ export async function initSectionHandlers() {
             .forEach(match => materials[match[1].toLowerCase()] = match[2]);
           return materials;
         };
-        handler.validate = value => {
-          const matches = parseList(value, { spaceSeparator: false })
-            .map(line =>
+        handler.diagnose = value => parseList(value, { spaceSeparator: false })
+          .map(line => {
+            const match =
               line.match(/^\[(.+)\]\((.*)\)$/i) ||
-              line.match(/^([^:]+):\s*(.*)$/i));
-          return matches.every(match => {
+              line.match(/^([^:]+):\s*(.*)$/i);
             if (!match) {
-              return false;
+              return {
+                value: line,
+                reason: 'expected a markdown link (e.g., "[Slides](https://example.org/)") or a name followed by a colon and a URL (e.g., "Slides: https://example.org/")'
+              };
             }
             if (!todoStrings.includes(match[2].toUpperCase())) {
               try {
                 new URL(match[2]);
-                return true;
               }
               catch (err) {
-                return false;
+                return { value: match[2], reason: 'not a valid URL' };
               }
             }
-            return true;
-          });
-        }
+            return null;
+          })
+          .filter(diagnostic => !!diagnostic);
         handler.serialize = value => Object.entries(value)
           .map(([key, url]) => todoStrings.includes(url) ?
             `- ${capitalize(key)}: ${url}` :
@@ -212,65 +310,123 @@ export async function initSectionHandlers() {
         break;
       }
 
+      handler.validate = value => handler.diagnose(value).length === 0;
       return handler;
     });
 }
 
 
 /**
- * Helper function to split a session issue body (in markdown) into sections
+ * Helper function to split a session issue body (in markdown) into sections.
+ *
+ * Each section comes with the number of the line where it starts in the body
+ * (1-based), and with its raw lines, so that problems can be located.
  */
 function splitIntoSections(body) {
-  return body.split(/^### /m)
-    .filter(section => !!section)
-    .map(section => section.split(/\r?\n/))
-    .map(section => {
-      let value = section.slice(1).join('\n\n').trim();
+  const sections = [];
+  let line = 1;
+  for (const section of body.split(/^### /m)) {
+    const lines = section.split(/\r?\n/);
+    if (section) {
+      let value = lines.slice(1).join('\n\n').trim();
       if (value.replace(/^_(.*)_$/, '$1') === 'No response') {
         value = null;
       }
-      return {
-        title: section[0].replace(/ \(Optional\)$/, ''),
-        value
-      };
-    });
+      sections.push({
+        title: lines[0].replace(/ \(Optional\)$/, ''),
+        value,
+        line,
+        lines
+      });
+    }
+    line += lines.length - 1;
+  }
+  return sections;
 }
 
 
 /**
- * Validate the session issue body and return a list of errors (or an empty
- * array if all is fine)
+ * Helper function to find the number of the line in the body where the given
+ * value appears within the section. Function returns the line where the
+ * section starts if the value cannot be found.
  */
-export function validateSessionBody(body) {
+function findLine(section, value) {
+  const needle = String(value).split(/\n/)[0].trim();
+  const pos = section.lines.findIndex((line, idx) => idx > 0 && line.includes(needle));
+  return section.line + (pos > 0 ? pos : 0);
+}
+
+
+/**
+ * Validate the session issue body and return a list of structured diagnostics
+ * (or an empty array if all is fine).
+ *
+ * Each diagnostic is an object with:
+ * - `section`: the title of the section that contains the problem
+ * - `line`: the number of the line in the body where the problem is (1-based),
+ * or null for missing sections
+ * - `value`: the offending value, if any
+ * - `reason`: the reason why the value is invalid, if any
+ * - `message`: a human-readable message that combines the above
+ */
+export function diagnoseSessionBody(body) {
   if (!sectionHandlers) {
     throw new Error('Need to call `initSectionHandlers` first!');
   }
   const sections = splitIntoSections(body);
-  const errors = sections
-    .map(section => {
-      const sectionHandler = sectionHandlers.find(handler =>
-        handler.title === section.title);
-      if (!sectionHandler) {
-        return `Unexpected section "${section.title}"`;
-      }
-      if (!section.value && sectionHandler.required) {
-        return `Unexpected empty section "${section.title}"`;
-      }
-      if (section.value && !sectionHandler.validate(section.value)) {
-        return `Invalid content in section "${section.title}"`;
+  const diagnostics = [];
+  for (const section of sections) {
+    const sectionHandler = sectionHandlers.find(handler =>
+      handler.title === section.title);
+    if (!sectionHandler) {
+      diagnostics.push({
+        section: section.title,
+        line: section.line,
+        message: `Unexpected section "${section.title}" (line ${section.line})`
+      });
+    }
+    else if (!section.value && sectionHandler.required) {
+      diagnostics.push({
+        section: section.title,
+        line: section.line,
+        message: `Unexpected empty section "${section.title}" (line ${section.line})`
+      });
+    }
+    else if (section.value) {
+      for (const { value, reason } of sectionHandler.diagnose(section.value)) {
+        const line = findLine(section, value);
+        diagnostics.push({
+          section: section.title,
+          line,
+          value,
+          reason,
+          message: `Invalid content in section "${section.title}" (line ${line}): "${value}" (${reason})`
+        });
       }
-      return null;
-    })
-    .filter(error => !!error);
+    }
+  }
 
   // Also report required sections that are missing
   for (const handler of sectionHandlers) {
     if (handler.required && !sections.find(s => s.title === handler.title)) {
-      errors.push(`Missing required section "${handler.title}"`);
+      diagnostics.push({
+        section: handler.title,
+        line: null,
+        message: `Missing required section "${handler.title}"`
+      });
     }
   }
 
-  return errors;
+  return diagnostics;
+}
+
+
+/**
+ * Validate the session issue body and return a list of errors (or an empty
+ * array if all is fine). See `diagnoseSessionBody` for details on errors.
+ */
+export function validateSessionBody(body) {
+  return diagnoseSessionBody(body).map(diagnostic => diagnostic.message);
 }
 
 
@@ -299,6 +455,103 @@ export function parseSessionBody(body) {
 }
 
 
+/**
+ * Try to fix the value of a section that does not validate. Values of
+ * dropdown sections may match an option modulo case, a "(Default)" suffix or
+ * the end of the option, and get replaced with the option as written in the
+ * issue template. Values of single-line input sections may be spread over
+ * multiple lines. Function returns null if the value cannot be fixed, which
+ * includes empty values.
+ */
+function fixSectionValue(handler, value) {
+  let fixed = null;
+  if (handler.type === 'dropdown' && handler.options) {
+    const lower = value.trim().toLowerCase();
+    if (!lower) {
+      return null;
+    }
+    fixed = handler.options.find(option => {
+      const name = option.toLowerCase();
+      return name.replace(/\s*\(default\)$/, '') === lower ||
+        name.startsWith(lower);
+    });
+  }
+  else if (handler.type === 'input') {
+    fixed = value.split(/\n+/)
+      .map(line => line.trim())
+      .filter(line => !!line)
+      .join(' ');
+  }
+  return (fixed && handler.validate(fixed)) ? fixed : null;
+}
+
+
+/**
+ * Suggest a fix for a session issue body that does not validate.
+ *
+ * The function looks for sections whose title is a variant of an expected
+ * title (case, plural, punctuation), and for values that can be fixed (see
+ * `fixSectionValue`). If the description can be recovered, it gets
+ * re-serialized through `serializeSessionDescription`.
+ *
+ * The function returns an object with a `fixes` property, the list of changes
+ * made to the body, as human-readable messages, and a `body` property, the
+ * fixed body, or null when the body could not be recovered (for instance,
+ * because a required section is missing or because the body contains a
+ * section that does not match any expected section).
+ */
+export function suggestSessionBodyFix(body) {
+  if (!sectionHandlers) {
+    throw new Error('Need to call `initSectionHandlers` first!');
+  }
+  const normalize = title => title.toLowerCase()
+    .replace(/\(optional\)/g, '')
+    .replace(/[^a-z0-9]/g, '')
+    .replace(/s$/, '');
+  const fixes = [];
+  const description = {};
+  let recoverable = true;
+  for (const section of splitIntoSections(body)) {
+    let handler = sectionHandlers.find(h => h.title === section.title);
+    if (!handler) {
+      handler = sectionHandlers.find(h =>
+        normalize(h.title) === normalize(section.title));
+      if (!handler || Object.hasOwn(description, handler.id)) {
+        recoverable = false;
+        continue;
+      }
+      fixes.push(`Rename section "${section.title}" to "${handler.title}"`);
+    }
+    let value = section.value;
+    if (value && !handler.validate(value)) {
+      const fixed = fixSectionValue(handler, value);
+      if (!fixed) {
+        recoverable = false;
+        continue;
+      }
+      fixes.push(`Replace "${value}" with "${fixed}" in section "${handler.title}"`);
+      value = fixed;
+    }
+    if (!value && handler.required) {
+      recoverable = false;
+      continue;
+    }
+    description[handler.id] = value ? handler.parse(value) : null;
+  }
+  if (sectionHandlers.find(h => h.required && !Object.hasOwn(description, h.id))) {
+    recoverable = false;
+  }
+  if (!recoverable) {
+    return { fixes, body: null };
+  }
+  const fixedBody = serializeSessionDescription(description);
+  if (validateSessionBody(fixedBody).length > 0) {
+    return { fixes, body: null };
+  }
+  return { fixes, body: fixedBody };
+}
+
+
 /**
  * Serialize a session description into an issue body
  */
@@ -320,18 +573,70 @@ ${(description[handler.id] || description[handler.id] === 0) ?
  */
 export async function updateSessionDescription(session) {
   const body = serializeSessionDescription(session.description);
-  const res = await sendGraphQLRequest(`mutation {
+  const snapshotFile = await getSnapshotFile();
+  if (snapshotFile) {
+    await updateSnapshotSession(snapshotFile, session, { body });
+    return;
+  }
+  const res = await sendGraphQLRequest(`mutation($id: ID!, $body: String!) {
     updateIssue(input: {
-      id: "${session.id}",
-      body: "${body.replaceAll('\\', '\\\\').replaceAll('"', '\\"')}"
+      id: $id,
+      body: $body
     }) {
       issue {
         id
       }
     }
-  }`);
+  }`, { id: session.id, body });
   if (!res?.data?.updateIssue?.issue?.id) {
     console.log(JSON.stringify(res, null, 2));
     throw new Error(`GraphQL error, could not update issue body`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Return the date at which the session was published to the calendar, in
+ * other words the date at which the link to the calendar entry was first added
+ * to the session description, or null if the session has not been published
+ * to the calendar.
+ *
+ * The date is retrieved from the edit history of the issue, which may span
+ * multiple pages. If the history does not contain the link (e.g., because the
+ * issue was created with it), the function falls back to the creation date of
+ * the issue. That fallback is also used in snapshot mode, since the snapshot does
+ * not contain the edit history.
+ */
+export async function fetchSessionPublicationDate(session) {
+  const calendarUrl = session.description?.materials?.calendar;
+  if (!calendarUrl) {
+    return null;
+  }
+  const snapshotFile = await getSnapshotFile();
+  if (snapshotFile) {
+    return new Date(session.createdAt);
+  }
+  const edits = await fetchAllNodes(`query($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on Issue {
+        userContentEdits(first: 100, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            editedAt
+            diff
+          }
+        }
+      }
+    }
+  }`,
+    { id: session.id },
+    response => response.data.node.userContentEdits,
+    `edits of issue #${session.number}`);
+  const dates = edits
+    .filter(edit => edit.diff?.includes(calendarUrl))
+    .map(edit => new Date(edit.editedAt))
+    .sort((d1, d2) => d1 - d2);
+  return dates[0] ?? new Date(session.createdAt);
+}
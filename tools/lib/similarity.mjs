@@ -0,0 +1,123 @@
+/**
+ * Helper functions to detect sessions that look alike, using TF-IDF weighted
+ * bag of words and cosine similarity. Everything runs locally, no need for
+ * any external service.
+ */
+
+/**
+ * Sessions whose similarity is above that threshold are considered to be
+ * likely duplicates (1 means identical texts)
+ */
+export const duplicateThreshold = 0.6;
+
+/**
+ * Words that are too common to tell sessions apart. Other words that appear
+ * in most sessions (e.g., "web") get a low weight anyway.
+ */
+const stopWords = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'but', 'by', 'can', 'could', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'may', 'more',
+  'most', 'no', 'not', 'of', 'on', 'or', 'other', 'our', 'out', 'over',
+  'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'to', 'up', 'us', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your',
+  'session', 'sessions', 'breakout', 'discuss', 'discussion', 'goal', 'goals'
+]);
+
+
+/**
+ * Split the given text into a list of normalized words
+ */
+function tokenize(text) {
+  return (text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !stopWords.has(word));
+}
+
+
+/**
+ * Compute the TF-IDF vectors of the given texts. Each vector is a Map from
+ * words to weights, normalized so that its length is 1.
+ */
+function computeVectors(texts) {
+  const documents = texts.map(tokenize);
+  const df = new Map();
+  for (const words of documents) {
+    for (const word of new Set(words)) {
+      df.set(word, (df.get(word) ?? 0) + 1);
+    }
+  }
+  return documents.map(words => {
+    const vector = new Map();
+    for (const word of words) {
+      vector.set(word, (vector.get(word) ?? 0) + 1);
+    }
+    let norm = 0;
+    for (const [word, tf] of vector) {
+      const idf = Math.log((1 + documents.length) / (1 + df.get(word))) + 1;
+      vector.set(word, tf * idf);
+      norm += (tf * idf) * (tf * idf);
+    }
+    norm = Math.sqrt(norm);
+    for (const [word, weight] of vector) {
+      vector.set(word, weight / norm);
+    }
+    return vector;
+  });
+}
+
+
+/**
+ * Return the cosine similarity of two normalized vectors
+ */
+function cosine(v1, v2) {
+  let sum = 0;
+  for (const [word, weight] of v1) {
+    sum += weight * (v2.get(word) ?? 0);
+  }
+  return sum;
+}
+
+
+/**
+ * Index the given sessions to compare them with one another. The `getText`
+ * function receives a session and returns the text to compare, typically the
+ * title, description and goal of the session. All the given sessions
+ * contribute to the weights of words.
+ *
+ * The function returns an object with `sessions`, `texts` and `vectors`
+ * properties. Computing the vectors is costly with many sessions: the index
+ * should be computed once and reused to find the duplicates of each session.
+ */
+export function indexSessions(sessions, getText) {
+  const texts = sessions.map(getText);
+  return { sessions, texts, vectors: computeVectors(texts) };
+}
+
+
+/**
+ * Return the sessions in the given index (see `indexSessions`) that look like
+ * duplicates of the given session, sorted by decreasing similarity, as a list
+ * of objects with `session` and `similarity` properties.
+ *
+ * Function throws if the session is not in the index.
+ */
+export function findSimilarSessions(session, index, threshold = duplicateThreshold) {
+  const pos = index.sessions.indexOf(session);
+  if (pos === -1) {
+    throw new Error(`Session ${session.number} is not in the similarity index`);
+  }
+  const vector = index.vectors[pos];
+  if (vector.size === 0) {
+    return [];
+  }
+  return index.sessions
+    .map((other, idx) => ({ session: other, similarity: cosine(vector, index.vectors[idx]) }))
+    .filter(entry => entry.session !== session && entry.similarity >= threshold)
+    .sort((e1, e2) => e2.similarity - e1.similarity);
+}
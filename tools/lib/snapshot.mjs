@@ -0,0 +1,104 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { getEnvKey } from './envkeys.mjs';
+
+
+/**
+ * Properties of a session that get saved in a project snapshot. Other
+ * properties (parsed description, grid computations) are computed by tools at
+ * runtime and must not end up in the snapshot.
+ */
+const sessionProperties = [
+  'projectItemId', 'id', 'repository', 'number', 'title', 'body', 'labels',
+  'author', 'createdAt', 'updatedAt', 'lastEditedAt', 'reactions', 'room',
+  'slot', 'validation', 'chairs'
+];
+
+
+/**
+ * Return the name of the project snapshot file that tools should use instead
+ * of the live project on GitHub, or null to use the live project.
+ *
+ * The snapshot file is set through the `PROJECT_SNAPSHOT` environment
+ * variable (or `config.json` key).
+ */
+export async function getSnapshotFile() {
+  const filename = await getEnvKey('PROJECT_SNAPSHOT', '');
+  return filename || null;
+}
+
+
+/**
+ * Read the project saved in the given snapshot file.
+ *
+ * The returned object has the same structure as that returned by
+ * `fetchProject`, except that sessions may already contain the list of their
+ * chairs (in the format returned by `fetchSessionChairs`).
+ */
+export async function readProjectSnapshot(filename) {
+  const json = await readFile(filename, 'utf8');
+  return JSON.parse(json);
+}
+
+
+/**
+ * Save the given project to a snapshot file.
+ *
+ * The project must follow the structure returned by `fetchProject`. Chairs
+ * that may have been retrieved for sessions are saved as well, so that tools
+ * can run without having to look up GitHub and W3C accounts.
+ */
+export async function writeProjectSnapshot(project, filename) {
+  const snapshot = {
+    title: project.title,
+    url: project.url,
+    id: project.id,
+    metadata: project.metadata,
+    roomsFieldId: project.roomsFieldId,
+    rooms: project.rooms.map(room => ({
+      id: room.id,
+      name: room.name,
+      label: room.label,
+      location: room.location,
+      capacity: room.capacity,
+      features: room.features
+    })),
+    severityFieldIds: project.severityFieldIds,
+    slotsFieldId: project.slotsFieldId,
+    slots: project.slots.map(slot => ({
+      id: slot.id,
+      name: slot.name,
+      date: slot.date,
+      start: slot.start,
+      end: slot.end,
+      duration: slot.duration
+    })),
+    sessions: project.sessions.map(session => {
+      const res = {};
+      for (const prop of sessionProperties) {
+        if (session[prop] !== undefined) {
+          res[prop] = session[prop];
+        }
+      }
+      return res;
+    }),
+    labels: project.labels
+  };
+  await writeFile(filename, JSON.stringify(snapshot, null, 2), 'utf8');
+}
+
+
+/**
+ * Update the given session in the snapshot file with the given values.
+ *
+ * This is the snapshot counterpart of the mutation requests that tools
+ * otherwise send to GitHub.
+ */
+export async function updateSnapshotSession(filename, session, values) {
+  const snapshot = await readProjectSnapshot(filename);
+  const snapshotSession = snapshot.sessions.find(s => s.number === session.number);
+  if (!snapshotSession) {
+    throw new Error(`Session #${session.number} is not in project snapshot "${filename}"`);
+  }
+  Object.assign(snapshotSession, values);
+  await writeFile(filename, JSON.stringify(snapshot, null, 2), 'utf8');
+}
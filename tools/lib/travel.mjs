@@ -0,0 +1,191 @@
+import { getSessionSlots } from './project.mjs';
+
+/**
+ * Helper functions to detect back-to-back sessions that take place in rooms
+ * that are too far apart for people to go from one to the other in time.
+ *
+ * The location of a room is the location part of the room name, e.g., "2nd
+ * floor" in "Salon Goya (50 - 2nd floor)", or the room label when the name
+ * does not specify a location. Travel times between locations are given by a
+ * distance matrix, stored in `project.roomDistances`: an object whose keys are
+ * locations and whose values are objects that map other locations to the time
+ * it takes to go from one to the other, in minutes:
+ * {
+ *   "1st floor": { "2nd floor": 5, "Building B": 15 },
+ *   "2nd floor": { "Building B": 15 }
+ * }
+ *
+ * Travel times are symmetric, so each pair only needs to appear once. Rooms at
+ * the same location, and locations that do not appear in the matrix, are
+ * considered to be close enough to one another.
+ */
+
+
+/**
+ * Return the location of the room, used as key in the distance matrix
+ */
+export function getRoomLocation(room) {
+  return room.location || room.label;
+}
+
+
+/**
+ * Return the time it takes to go from one room to the other, in minutes
+ */
+export function getTravelTime(room1, room2, project) {
+  const matrix = project.roomDistances ?? {};
+  const loc1 = getRoomLocation(room1);
+  const loc2 = getRoomLocation(room2);
+  if (room1 === room2 || loc1 === loc2) {
+    return 0;
+  }
+  return matrix[loc1]?.[loc2] ?? matrix[loc2]?.[loc1] ?? 0;
+}
+
+
+/**
+ * Return the number of minutes between the end of the first slot and the
+ * start of the second slot
+ */
+function getBreak(slot1, slot2) {
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(n => parseInt(n, 10));
+    return hours * 60 + minutes;
+  };
+  return toMinutes(slot2.start) - toMinutes(slot1.end);
+}
+
+
+/**
+ * Return the keys that identify the chairs of the session, along with the
+ * name to use in messages. Chairs of sessions that have not been validated yet
+ * are taken from the session description, completed with the session author.
+ */
+function getChairs(session) {
+  let chairs = session.chairs;
+  if (!chairs) {
+    chairs = (session.description?.chairs ?? [])
+      .filter(chair => chair.name?.toLowerCase() !== 'author--');
+    if (!session.description?.chairs?.find(chair => chair.name?.toLowerCase() === 'author--')) {
+      chairs = [{ login: session.author?.login }].concat(chairs);
+    }
+  }
+  return chairs
+    .filter(chair => chair.login || chair.name)
+    .map(chair => ({
+      key: chair.login ?
+        'login:' + chair.login.toLowerCase() :
+        'name:' + chair.name.toLowerCase(),
+      name: chair.name ?? chair.login
+    }));
+}
+
+
+/**
+ * Return the tracks of the session
+ */
+function getTracks(session) {
+  return session.labels
+    .filter(label => label.startsWith('track: '))
+    .map(label => label.substring('track: '.length));
+}
+
+
+/**
+ * Return the list of travel issues that the room and slot assigned to the
+ * session create, in other words the sessions among the given ones that
+ * share a chair or a track with the session, that are scheduled right before
+ * or right after the session on the same day, and whose room is too far from
+ * the session's room to get from one to the other during the break.
+ *
+ * Each issue is an object with:
+ * - `session`: the other session
+ * - `before`: true when the other session takes place before the session
+ * - `chairs`: names of the chairs that the sessions have in common
+ * - `tracks`: tracks that the sessions have in common
+ * - `travel`: travel time between the rooms, in minutes
+ * - `break`: time between the sessions, in minutes
+ *
+ * The function returns an empty list when no distance matrix is known.
+ */
+export function getTravelIssues(session, sessions, project) {
+  const issues = [];
+  if (Object.keys(project.roomDistances ?? {}).length === 0 ||
+      !session.room || !session.slot) {
+    return issues;
+  }
+  const room = project.rooms.find(r => r.name === session.room);
+  const slots = getSessionSlots(session, project);
+  if (!room || slots.length === 0) {
+    return issues;
+  }
+  const first = slots[0];
+  const last = slots[slots.length - 1];
+  const chairs = getChairs(session);
+  const tracks = getTracks(session);
+
+  for (const other of sessions) {
+    if (other === session || other.number === session.number ||
+        !other.room || !other.slot || other.room === session.room) {
+      continue;
+    }
+    const otherRoom = project.rooms.find(r => r.name === other.room);
+    const otherSlots = getSessionSlots(other, project);
+    if (!otherRoom || otherSlots.length === 0) {
+      continue;
+    }
+    const otherFirst = otherSlots[0];
+    const otherLast = otherSlots[otherSlots.length - 1];
+    let before;
+    let gap;
+    if (otherLast.date === first.date &&
+        project.slots.indexOf(otherLast) + 1 === project.slots.indexOf(first)) {
+      before = true;
+      gap = getBreak(otherLast, first);
+    }
+    else if (otherFirst.date === last.date &&
+        project.slots.indexOf(last) + 1 === project.slots.indexOf(otherFirst)) {
+      before = false;
+      gap = getBreak(last, otherFirst);
+    }
+    else {
+      continue;
+    }
+
+    const otherChairs = getChairs(other).map(chair => chair.key);
+    const commonChairs = chairs
+      .filter(chair => otherChairs.includes(chair.key))
+      .map(chair => chair.name);
+    const commonTracks = getTracks(other).filter(track => tracks.includes(track));
+    if (commonChairs.length === 0 && commonTracks.length === 0) {
+      continue;
+    }
+
+    const travel = getTravelTime(otherRoom, room, project);
+    if (travel > gap) {
+      issues.push({
+        session: other,
+        before,
+        chairs: commonChairs,
+        tracks: commonTracks,
+        travel,
+        break: gap
+      });
+    }
+  }
+  return issues;
+}
+
+
+/**
+ * Format a travel issue returned by `getTravelIssues` as a message that
+ * describes the issue from the perspective of the given session.
+ */
+export function formatTravelIssue(issue) {
+  const who = []
+    .concat(issue.chairs.map(chair => `chair ${chair}`))
+    .concat(issue.tracks.map(track => `track "${track}"`))
+    .join(', ');
+  const when = issue.before ? 'Right after' : 'Right before';
+  return `${when} session "${issue.session.title}" (#${issue.session.number}) in room "${issue.session.room}" (${who}): going from one room to the other takes ${issue.travel} minutes, break is ${issue.break} minutes`;
+}
@@ -1,4 +1,5 @@
-import { getEnvKey } from './envkeys.mjs';
+import { fetchWithRetry } from './http.mjs';
+import { getCachedValue, setCachedValue } from './cache.mjs';
 
 
 /**
@@ -7,6 +8,11 @@ import { getEnvKey } from './envkeys.mjs';
  */
 const cache = {};
 
+/**
+ * Namespace of W3C accounts in the lookup cache on disk (see `cache.mjs`)
+ */
+const cacheNamespace = 'w3c-accounts';
+
 
 /**
  * Return the W3C account linked to the requested person, identified by their
@@ -14,14 +20,28 @@ const cache = {};
  *
  * Note: the function takes a `databaseId` identifier (returned by GitHub)
  * because users may update their `login` on GitHub at any time.
+ *
+ * Results, including the absence of a linked account, are also recorded in
+ * the lookup cache on disk, until they expire or get invalidated (see
+ * `refreshChairsCache` in `chairs.mjs`). Set `refresh` to bypass the caches
+ * and look up the current account.
  */
-export async function fetchW3CAccount(databaseId) {
+export async function fetchW3CAccount(databaseId, { refresh = false } = {}) {
   // Only fetch accounts once
-  if (cache[databaseId]) {
+  if (cache[databaseId] && !refresh) {
     return Object.assign({}, cache[databaseId]);
   }
+  const cached = refresh ?
+    undefined :
+    await getCachedValue(cacheNamespace, String(databaseId));
+  if (cached !== undefined) {
+    if (cached) {
+      cache[databaseId] = cached;
+    }
+    return cached ? Object.assign({}, cached) : null;
+  }
 
-  const res = await fetch(
+  const res = await fetchWithRetry(
     `https://api.w3.org/users/connected/github/${databaseId}`
   );
 
@@ -30,6 +50,7 @@ export async function fetchW3CAccount(databaseId) {
       throw new Error(`W3C API server error, ${res.status} status received`);
     }
     if (res.status === 404) {
+      await setCachedValue(cacheNamespace, String(databaseId), null);
       return null;
     }
     throw new Error(`W3C API server returned an unexpected HTTP status ${res.status}`);
@@ -43,5 +64,6 @@ export async function fetchW3CAccount(databaseId) {
     email: json.email
   };
   cache[databaseId] = user;
+  await setCachedValue(cacheNamespace, String(databaseId), user);
   return user;
 }
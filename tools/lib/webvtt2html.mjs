@@ -1,4 +1,5 @@
 import webvttParser from 'webvtt-parser';
+import { fetchWithRetry } from './http.mjs';
 
 const parser = new webvttParser.WebVTTParser();
 
@@ -17,7 +18,7 @@ export async function convert(vttUrl, options) {
     return sentence;
   }
 
-  const response = await fetch(vttUrl);
+  const response = await fetchWithRetry(vttUrl);
   const vtt = await response.text();
 
   let cues;
@@ -3,21 +3,33 @@
  *
  * To run the tool:
  *
- *  node tools/list-chairs.mjs
+ *  node tools/list-chairs.mjs [--refresh-chairs]
+ *
+ * Results of W3C account and GitHub user lookups are cached on disk (see
+ * `tools/lib/cache.mjs`). With the "--refresh-chairs" option, the tool drops
+ * these results and looks up chairs again.
  */
 
 import { getEnvKey } from './lib/envkeys.mjs';
 import { fetchProject } from './lib/project.mjs'
 import { validateGrid } from './lib/validate.mjs';
 import { authenticate } from './lib/calendar.mjs';
+import { refreshChairsCache } from './lib/chairs.mjs';
 import puppeteer from 'puppeteer';
 
-async function main() {
+async function main(refreshChairs) {
   const PROJECT_OWNER = await getEnvKey('PROJECT_OWNER');
   const PROJECT_NUMBER = await getEnvKey('PROJECT_NUMBER');
   const CHAIR_W3CID = await getEnvKey('CHAIR_W3CID', {}, true);
   const W3C_LOGIN = await getEnvKey('W3C_LOGIN');
   const W3C_PASSWORD = await getEnvKey('W3C_PASSWORD');
+  if (refreshChairs) {
+    console.log();
+    console.log(`Refresh cached chair lookups...`);
+    await refreshChairsCache();
+    console.log(`Refresh cached chair lookups... done`);
+  }
+
   console.log();
   console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}...`);
   const project = await fetchProject(PROJECT_OWNER, PROJECT_NUMBER);
@@ -111,7 +123,10 @@ async function main() {
   }
 }
 
-main()
+// Refresh cached chair lookups if requested
+const refreshChairs = process.argv.slice(2).includes('--refresh-chairs');
+
+main(refreshChairs)
   .catch(err => {
     console.log(`Something went wrong: ${err.message}`);
     throw err;
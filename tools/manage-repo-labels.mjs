@@ -26,8 +26,8 @@ const labels = [
 
 async function createRepoLabels(owner, repo) {
   console.log('Retrieve repository information...');
-  const res = await sendGraphQLRequest(`query {
-    repository(owner: "${owner}", name: "${repo}") {
+  const res = await sendGraphQLRequest(`query($owner: String!, $repo: String!) {
+    repository(owner: $owner, name: $repo) {
       id
       labels(first: 100) {
         nodes {
@@ -38,7 +38,7 @@ async function createRepoLabels(owner, repo) {
         }
       }
     }
-  }`);
+  }`, { owner, repo });
   const repositoryId = res.data.repository.id;
   const repositoryLabels = res.data.repository.labels.nodes
     .sort((l1, l2) => l1.name.localeCompare(l2.name));
@@ -56,19 +56,25 @@ async function createRepoLabels(owner, repo) {
     .filter(label => !repositoryLabels.find(l => l.name === label.name));
   for (const label of labelsToAdd) {
     console.log(`- add ${label.name}`);
-    const res = await sendGraphQLRequest(`mutation {
+    const res = await sendGraphQLRequest(`mutation(
+          $repositoryId: ID!, $name: String!, $color: String!, $description: String) {
         createLabel(input: {
-          repositoryId: "${repositoryId}",
-          name: "${label.name}",
-          color: "${label.color}",
-          description: "${label.description}",
+          repositoryId: $repositoryId,
+          name: $name,
+          color: $color,
+          description: $description,
           clientMutationId: "mutatis mutandis"
         }) {
           label {
             id
           }
         }
-      }`, labelsPreviewHeader);
+      }`, {
+        repositoryId,
+        name: label.name,
+        color: label.color,
+        description: label.description
+      }, labelsPreviewHeader);
     if (!res?.data?.createLabel?.label?.id) {
       console.log(JSON.stringify(res, null, 2));
       throw new Error(`GraphQL error, could not create label ${label.name}`);
@@ -84,14 +90,14 @@ async function createRepoLabels(owner, repo) {
       !label.name.startsWith('track: '));
   for (const label of labelsToDelete) {
     console.log(`- delete ${label.name}`);
-    const res = await sendGraphQLRequest(`mutation {
+    const res = await sendGraphQLRequest(`mutation($id: ID!) {
         deleteLabel(input: {
-          id: "${label.id}",
+          id: $id,
           clientMutationId: "mutatis mutandis"
         }) {
           clientMutationId
         }
-      }`, labelsPreviewHeader);
+      }`, { id: label.id }, labelsPreviewHeader);
     if (!res?.data?.deleteLabel?.clientMutationId) {
       console.log(JSON.stringify(res, null, 2));
       throw new Error(`GraphQL error, could not delete label ${label.name}`);
@@ -110,19 +116,26 @@ async function createRepoLabels(owner, repo) {
     });
   for (const label of labelsToUpdate) {
     console.log(`- update ${label.name}`);
-    const res = await sendGraphQLRequest(`mutation {
+    const refLabel = labels.find(l => l.name === label.name);
+    const res = await sendGraphQLRequest(`mutation(
+          $id: ID!, $name: String!, $color: String!, $description: String) {
         updateLabel(input: {
-          id: "${label.id}",
-          name: "${label.name}",
-          color: "${label.color}",
-          description: "${label.description}",
+          id: $id,
+          name: $name,
+          color: $color,
+          description: $description,
           clientMutationId: "mutatis mutandis"
         }) {
           label {
             id
           }
         }
-      }`, labelsPreviewHeader);
+      }`, {
+        id: label.id,
+        name: refLabel.name,
+        color: refLabel.color,
+        description: refLabel.description
+      }, labelsPreviewHeader);
     if (!res?.data?.updateLabel?.label?.id) {
       console.log(JSON.stringify(res, null, 2));
       throw new Error(`GraphQL error, could not update label ${label.name}`);
@@ -0,0 +1,243 @@
+/**
+ * This tool detects session chairs whose GitHub account changed since the
+ * last time the tool ran, and proposes (or applies) the corresponding updates
+ * to the list of chairs in session descriptions.
+ *
+ * To run the tool:
+ *
+ *  node tools/reconcile-chairs.mjs [sessionNumber or "all"] [apply]
+ *
+ * where [sessionNumber or "all"] is the session issue number or "all" to
+ * reconcile chairs of all sessions (default).
+ *
+ * Set [apply] to "apply" to update session descriptions. Otherwise, the tool
+ * only reports the updates that it would make.
+ *
+ * The tool records the chairs that it resolves (GitHub node ID, databaseId,
+ * login, and linked W3C account) in a cache file, `chairs-cache.json` by
+ * default, which the CHAIRS_CACHE environment variable may override. The
+ * cache file must be kept from one run to the next: the tool compares the
+ * current state of GitHub accounts with the recorded one to detect:
+ * - chairs who renamed their GitHub account: the tool proposes to replace the
+ * old login with the new one in the session description.
+ * - logins that now belong to another GitHub account, e.g., because the chair
+ * renamed their account and someone else took the login: the tool proposes to
+ * replace the login with the chair's current login.
+ * - chairs whose GitHub account was deleted: the session description needs
+ * to be fixed manually.
+ * - chairs whose GitHub account is now linked to another W3C account (or to
+ * none): the tool reports the change, there is nothing to update in the
+ * session description.
+ *
+ * The tool always looks up the current state of accounts, bypassing the
+ * lookup cache that other tools use, and refreshes that cache in the process.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { getEnvKey } from './lib/envkeys.mjs';
+import { fetchProject } from './lib/project.mjs'
+import { initSectionHandlers, validateSessionBody, parseSessionBody, updateSessionDescription } from './lib/session.mjs';
+import { fetchGitHubUser, fetchGitHubUserById } from './lib/chairs.mjs';
+import { fetchW3CAccount } from './lib/w3caccount.mjs';
+
+
+/**
+ * Read the cache file, or return an empty cache if the file does not exist.
+ *
+ * The cache is an object whose `chairs` property maps lowercase logins to
+ * the recorded chair: an object with `id`, `databaseId`, `login`, `w3cId` and
+ * `updated` (date of last update) properties.
+ */
+async function readCache(filename) {
+  try {
+    const json = await readFile(filename, 'utf8');
+    return JSON.parse(json);
+  }
+  catch (err) {
+    if (err.code === 'ENOENT') {
+      return { chairs: {} };
+    }
+    throw err;
+  }
+}
+
+
+/**
+ * Record the given GitHub user and linked W3C account in the cache
+ */
+function recordChair(cache, user, w3cAccount) {
+  cache.chairs[user.login.toLowerCase()] = {
+    id: user.id,
+    databaseId: user.databaseId,
+    login: user.login,
+    w3cId: w3cAccount?.w3cId ?? null,
+    updated: new Date().toISOString()
+  };
+}
+
+
+/**
+ * Reconcile the chair that has the given login with the cache.
+ *
+ * The function returns the login that should replace the given one in the
+ * session description, or null if the description should not change.
+ * Problems that cannot be fixed automatically and changes that do not
+ * require updating the description are logged.
+ *
+ * Renamed chairs are only recorded under their new login in the cache when
+ * updates are applied, so that the next run proposes the update again
+ * otherwise.
+ */
+async function reconcileChair(login, cache, apply) {
+  const cached = cache.chairs[login.toLowerCase()];
+  const user = await fetchGitHubUser(login, { refresh: true });
+  if (!cached) {
+    if (user) {
+      console.log(`- @${login}: record GitHub account ${user.databaseId}`);
+      recordChair(cache, user, await fetchW3CAccount(user.databaseId, { refresh: true }));
+    }
+    else {
+      console.log(`- @${login}: no GitHub account, not in cache, cannot reconcile`);
+    }
+    return null;
+  }
+
+  if (user && user.databaseId === cached.databaseId) {
+    const w3cAccount = await fetchW3CAccount(user.databaseId, { refresh: true });
+    const w3cId = w3cAccount?.w3cId ?? null;
+    if (w3cId !== cached.w3cId) {
+      console.log(`- @${login}: linked W3C account changed from ${cached.w3cId ?? 'none'} to ${w3cId ?? 'none'}`);
+    }
+    recordChair(cache, user, w3cAccount);
+    return null;
+  }
+
+  if (user) {
+    console.log(`- @${login}: login now belongs to GitHub account ${user.databaseId}, was ${cached.databaseId}`);
+  }
+  else {
+    console.log(`- @${login}: no GitHub account with that login anymore`);
+  }
+  const chair = await fetchGitHubUserById(cached.id);
+  if (!chair) {
+    console.log(`- @${login}: GitHub account ${cached.databaseId} was deleted, session needs to be fixed manually`);
+    return null;
+  }
+  console.log(`- @${login}: GitHub account ${cached.databaseId} is now @${chair.login}`);
+  if (!apply) {
+    return chair.login;
+  }
+  delete cache.chairs[login.toLowerCase()];
+  const w3cAccount = await fetchW3CAccount(chair.databaseId, { refresh: true });
+  if ((w3cAccount?.w3cId ?? null) !== cached.w3cId) {
+    console.log(`- @${chair.login}: linked W3C account changed from ${cached.w3cId ?? 'none'} to ${w3cAccount?.w3cId ?? 'none'}`);
+  }
+  recordChair(cache, chair, w3cAccount);
+  return chair.login;
+}
+
+
+async function main({ number, apply } = {}) {
+  const PROJECT_OWNER = await getEnvKey('PROJECT_OWNER');
+  const PROJECT_NUMBER = await getEnvKey('PROJECT_NUMBER');
+  const CHAIRS_CACHE = await getEnvKey('CHAIRS_CACHE', 'chairs-cache.json');
+  console.log();
+  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}...`);
+  const project = await fetchProject(PROJECT_OWNER, PROJECT_NUMBER);
+  if (!project) {
+    throw new Error(`Project ${PROJECT_OWNER}/${PROJECT_NUMBER} could not be retrieved`);
+  }
+  const sessions = project.sessions
+    .filter(s => !number || s.number === number)
+    .sort((s1, s2) => s1.number - s2.number);
+  if (number && sessions.length === 0) {
+    throw new Error(`Session ${number} not found in project ${PROJECT_OWNER}/${PROJECT_NUMBER}`);
+  }
+  console.log(`- ${sessions.length} sessions to reconcile`);
+  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}... done`);
+
+  console.log();
+  console.log(`Read chairs cache ${CHAIRS_CACHE}...`);
+  const cache = await readCache(CHAIRS_CACHE);
+  console.log(`- ${Object.keys(cache.chairs).length} chairs in cache`);
+  console.log(`Read chairs cache ${CHAIRS_CACHE}... done`);
+
+  await initSectionHandlers();
+  const updates = [];
+
+  // Same chair may chair multiple sessions, reconcile logins only once
+  const resolved = new Map();
+  for (const session of sessions) {
+    if (validateSessionBody(session.body).length > 0) {
+      console.log();
+      console.log(`Skip session ${session.number}, description cannot be parsed`);
+      continue;
+    }
+    session.description = parseSessionBody(session.body);
+    const logins = (session.description.chairs ?? [])
+      .filter(chair => chair.login)
+      .map(chair => chair.login);
+    if (logins.length === 0) {
+      continue;
+    }
+    console.log();
+    console.log(`Reconcile chairs of session ${session.number}...`);
+    const renames = [];
+    for (const login of logins) {
+      if (!resolved.has(login.toLowerCase())) {
+        resolved.set(login.toLowerCase(), await reconcileChair(login, cache, apply));
+      }
+      const newLogin = resolved.get(login.toLowerCase());
+      if (newLogin) {
+        renames.push({ from: login, to: newLogin });
+      }
+    }
+    if (renames.length > 0) {
+      updates.push({ session, renames });
+    }
+    console.log(`Reconcile chairs of session ${session.number}... done`);
+  }
+
+  console.log();
+  console.log(`Save chairs cache ${CHAIRS_CACHE}...`);
+  await writeFile(CHAIRS_CACHE, JSON.stringify(cache, null, 2), 'utf8');
+  console.log(`- ${Object.keys(cache.chairs).length} chairs in cache`);
+  console.log(`Save chairs cache ${CHAIRS_CACHE}... done`);
+
+  console.log();
+  console.log(`${apply ? 'Apply' : 'Propose'} session updates...`);
+  if (updates.length === 0) {
+    console.log(`- no session to update`);
+  }
+  for (const { session, renames } of updates) {
+    for (const { from, to } of renames) {
+      console.log(`- session ${session.number}: ${apply ? 'replace' : 'would replace'} @${from} with @${to}`);
+      const chair = session.description.chairs.find(chair => chair.login === from);
+      chair.login = to;
+    }
+    if (apply) {
+      await updateSessionDescription(session);
+    }
+  }
+  if (!apply && updates.length > 0) {
+    console.log(`- run the tool with "apply" to update session descriptions`);
+  }
+  console.log(`${apply ? 'Apply' : 'Propose'} session updates... done`);
+}
+
+
+// Read session number from command-line
+if (process.argv[2] && !process.argv[2].match(/^(\d+|all)$/)) {
+  console.log('First parameter should be a session number or "all"');
+  process.exit(1);
+}
+const sessionNumber = process.argv[2]?.match(/^\d+$/) ? parseInt(process.argv[2], 10) : undefined;
+
+// Apply updates?
+const apply = process.argv[3] === 'apply';
+
+main({ number: sessionNumber, apply })
+  .catch(err => {
+    console.log(`Something went wrong: ${err.message}`);
+    throw err;
+  });
@@ -0,0 +1,73 @@
+/**
+ * This tool saves a snapshot of the project (rooms, slots, sessions, labels,
+ * validation results, and session chairs) to a local JSON file.
+ *
+ * To run the tool:
+ *
+ *  node tools/snapshot-project.mjs [filename]
+ *
+ * where [filename] is the name of the JSON file to create. Default is
+ * "project-snapshot.json".
+ *
+ * Once the snapshot exists, other tools can run against it instead of against
+ * the live project on GitHub: set the PROJECT_SNAPSHOT environment variable
+ * (or `config.json` key) to the name of the snapshot file. Tools then read the
+ * project from the snapshot and record slot and room assignments, validation
+ * results and session description updates in the snapshot file instead of
+ * sending mutation requests to GitHub. This is useful to rehearse grid
+ * suggestions and validations on frozen data.
+ *
+ * Chairs are resolved when the snapshot is taken so that tools do not need
+ * to look up GitHub and W3C accounts afterwards. Chairs of sessions whose
+ * description cannot be parsed are not saved.
+ */
+
+import { getEnvKey } from './lib/envkeys.mjs';
+import { fetchProject } from './lib/project.mjs';
+import { initSectionHandlers, validateSessionBody, parseSessionBody } from './lib/session.mjs';
+import { fetchSessionChairs } from './lib/chairs.mjs';
+import { getSnapshotFile, writeProjectSnapshot } from './lib/snapshot.mjs';
+
+async function main(filename) {
+  const PROJECT_OWNER = await getEnvKey('PROJECT_OWNER');
+  const PROJECT_NUMBER = await getEnvKey('PROJECT_NUMBER');
+  const CHAIR_W3CID = await getEnvKey('CHAIR_W3CID', {}, true);
+  if (await getSnapshotFile()) {
+    throw new Error('PROJECT_SNAPSHOT is set, unset it to take a snapshot of the live project');
+  }
+
+  console.log();
+  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}...`);
+  const project = await fetchProject(PROJECT_OWNER, PROJECT_NUMBER);
+  if (!project) {
+    throw new Error(`Project ${PROJECT_OWNER}/${PROJECT_NUMBER} could not be retrieved`);
+  }
+  console.log(`- ${project.sessions.length} sessions`);
+  console.log(`- ${project.rooms.length} rooms`);
+  console.log(`- ${project.slots.length} slots`);
+  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}... done`);
+
+  console.log();
+  console.log(`Retrieve session chairs...`);
+  await initSectionHandlers();
+  for (const session of project.sessions) {
+    if (validateSessionBody(session.body).length > 0) {
+      console.log(`- skip session ${session.number}, description cannot be parsed`);
+      continue;
+    }
+    session.description = parseSessionBody(session.body);
+    session.chairs = await fetchSessionChairs(session, CHAIR_W3CID);
+  }
+  console.log(`Retrieve session chairs... done`);
+
+  console.log();
+  console.log(`Save project snapshot to ${filename}...`);
+  await writeProjectSnapshot(project, filename);
+  console.log(`Save project snapshot to ${filename}... done`);
+}
+
+main(process.argv[2] ?? 'project-snapshot.json')
+  .catch(err => {
+    console.log(`Something went wrong: ${err.message}`);
+    throw err;
+  });
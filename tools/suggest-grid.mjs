@@ -3,47 +3,120 @@
  *
  * To run the tool:
  *
- *  node tools/suggest-grid.mjs [preservelist or all or none] [exceptlist or none] [apply] [seed]
+ *  node tools/suggest-grid.mjs [preservelist or all or none or baseline] [exceptlist or none] [apply] [seed] [solver] [runs]
  *
  * where [preservelist or all] is a comma-separated (no spaces) list of session
  * numbers whose assigned slots and rooms must be preserved. Or "all" to
  * preserve all slots and rooms that have already been assigned. Or "none" not
- * to preserve anything.
+ * to preserve anything. Or "baseline" to reschedule sessions with minimal
+ * disruption: slots and rooms that have already been assigned are used as a
+ * baseline, and the tool looks for a grid that moves as few sessions as
+ * possible away from it. Moving a session that has already been published to
+ * the calendar costs more than moving a session that has not, and the cost
+ * increases with the number of days since the session was published. The
+ * tool reports the sessions that moved. The "baseline" mode requires the
+ * "annealing" solver (used by default in that mode). The "moved" weight in
+ * GRID_WEIGHTS (see below) may be raised to move fewer sessions at the
+ * expense of other constraints.
  * 
- * [exceptlist or none] only makes sense when the preserve list is "all" and
- * allows to specify a comma-separated (no spaces) list of session numbers whose
- * assigned slots and rooms are to be discarded. Or "none" to say "no exception,
- * preserve info in all sessions".
+ * [exceptlist or none] only makes sense when the preserve list is "all" or
+ * "baseline" and allows to specify a comma-separated (no spaces) list of
+ * session numbers whose assigned slots and rooms are to be discarded. Or
+ * "none" to say "no exception, preserve info in all sessions".
  * 
- * [apply] is "apply" if you want to apply the suggested grid on GitHub, or
- * a link to a changes file if you want to test changes to the suggested grid
- * before it gets validated and saved as an HTML page. The changes file must be
+ * [apply] is "apply" if you want to apply the suggested grid on GitHub, "none"
+ * if you do not want to apply anything, or a link to a changes file if you
+ * want to test changes to the suggested grid before it gets validated and
+ * saved as an HTML page. The changes file must be
  * a file where each row starts with a session number, followed by a space,
  * followed by either a slot start time or a slot number or a room name. If slot
  * was specified, it may be followed by another space, followed by a room name.
- * (Room name cannot be specified before the slot).
+ * (Room name cannot be specified before the slot). When breakouts span multiple
+ * days, the slot start time may be preceded by the date of the slot and a
+ * space (e.g., "2023-09-13 9:30"). Without a date, the start time selects the
+ * first slot that starts at that time, whatever its day. Hours may or may not
+ * be zero-padded ("9:30" and "09:30" are the same time).
  *
  * 
  * [seed] is the seed string to shuffle the array of sessions.
  *
+ * [solver] is the algorithm to use to suggest the grid:
+ * - "greedy" (default) places sessions one by one, track by track, relaxing
+ * constraints for a session when it cannot be placed otherwise.
+ * - "annealing" optimizes the grid as a whole through simulated annealing,
+ * minimizing a weighted cost over track splits, capacity misses, duration
+ * misses, conflicts, room changes and gaps. Weights may be adjusted through
+ * the GRID_WEIGHTS environment variable, a JSON object that overrides the
+ * default weights in `tools/lib/gridcost.mjs`.
+ *
+ * The cost breakdown of the resulting grid is reported in both cases so that
+ * grids can be compared objectively.
+ *
+ * [runs] is the number of candidate grids to generate (default is 1). When
+ * larger than 1, the tool runs the solver with as many seeds (derived from
+ * [seed] when given), validates each resulting grid, and ranks grids by
+ * number of unscheduled sessions, then number of scheduling errors, number of
+ * scheduling warnings, and cost. The tool outputs the ranked summary, the HTML
+ * page of the best grid, and the command that reproduces that grid.
+ *
+ * For each session that could not be scheduled, the tool also lists each
+ * candidate room and slot along with the constraints that block it (room taken
+ * by another session, chair clash, conflict, track, capacity, duration), both
+ * in the console and in the generated HTML page.
+ *
  * Assumptions:
  * - All rooms are of equal quality
  * - Some slots may be seen as preferable
+ * - Slots may span multiple days. A slot is identified by its date and its
+ * start and end times, and slots are listed in chronological order.
  *
  * Goals:
  * - Where possible, sessions that belong to the same track should take place
  * in the same room. Because a session may belong to two tracks, this is not
  * an absolute goal.
  * - Schedule sessions back-to-back to avoid gaps.
- * - Favor minimizing travels over using different rooms.
+ * - Favor minimizing travels over using different rooms. When the
+ * ROOM_DISTANCES environment variable contains a distance matrix between room
+ * locations (see `tools/lib/travel.mjs` for the format), avoid scheduling
+ * back-to-back sessions of a chair or of a track in rooms that are too far
+ * apart to go from one to the other during the break. This is a soft
+ * constraint, relaxed first.
  * - Session issue number should not influence slot and room (early proponents
  * should not be favored or disfavored).
  * - Minimize the number of rooms used in parallel.
  * - Only one session labeled for a given track at the same time.
  * - Only one session with a given chair at the same time.
+ * - Never schedule a session in a slot during which one of its chairs has
+ * another commitment in the external schedule, if one is known. The
+ * EXTERNAL_SCHEDULE environment variable may point to an iCalendar or JSON
+ * file that lists other meetings with their participants (see
+ * `loadExternalSchedule` in `tools/lib/commitments.mjs` for formats).
+ * - Never schedule a session in a slot during which its chairs are not
+ * available ("Unavailable slots" section). Favor slots that chairs prefer
+ * ("Preferred slots" section), a constraint that gets relaxed first.
  * - No identified conflicting sessions at the same time.
- * - Meet duration preference.
- * - Meet capacity preference.
+ * - Avoid scheduling sessions that draw the same audience at the same time.
+ * People who reacted to two session issues are assumed to want to attend
+ * both sessions. This is a soft constraint, relaxed first.
+ * - Minimize the number of attendees who want to attend two sessions
+ * scheduled at the same time, when the results of an attendee preference
+ * survey are available. The ATTENDEE_PREFERENCES environment variable may
+ * point to a CSV or JSON file that lists the sessions that each attendee wants
+ * to attend (see `loadAttendeePreferences` in `tools/lib/interest.mjs` for
+ * formats). Survey results complete reactions to determine the audience of
+ * sessions, and the generated HTML page reports an "audience clash" score per
+ * slot: the number of attendees who want to attend two or more sessions in
+ * that slot.
+ * - Meet duration preference. Sessions that need two consecutive slots take
+ * the slot they get assigned to and the next one on the same day, in the same
+ * room.
+ * - Assign sessions to rooms that have the features they require (projector,
+ * hybrid A/V, step-free access, table layout). Room features are listed
+ * between square brackets at the end of room names. This constraint is only
+ * relaxed as a last resort.
+ * - Meet capacity preference. When the proposer does not know the capacity,
+ * the capacity is estimated from the number of people who reacted to the
+ * session issue.
  *
  * The tool schedules as many sessions as possible, skipping over sessions that
  * it cannot schedule due to a confict that it cannot resolve.
@@ -51,21 +124,20 @@
 
 import { readFile } from 'fs/promises';
 import { getEnvKey } from './lib/envkeys.mjs';
-import { fetchProject, assignSessionsToSlotAndRoom } from './lib/project.mjs'
+import { fetchProject, assignSessionsToSlotAndRoom, getSessionSlots, isSlotInList } from './lib/project.mjs'
+import { fetchSessionPublicationDate } from './lib/session.mjs';
+import { getChairCommitments, loadExternalSchedule } from './lib/commitments.mjs';
+import { getTravelIssues, formatTravelIssue } from './lib/travel.mjs';
+import {
+  estimateCapacity, getCommonAudience, countAudienceClashes,
+  loadAttendeePreferences, setSessionAttendees } from './lib/interest.mjs';
 import { validateSession } from './lib/validate.mjs';
 import { validateGrid } from './lib/validate.mjs';
+import { suggestGridByAnnealing } from './lib/annealing.mjs';
+import { getSchedulingErrors } from './lib/rules.mjs';
+import { computeGridCost, formatGridCost } from './lib/gridcost.mjs';
 import seedrandom from 'seedrandom';
 
-const schedulingErrors = [
-  'error: chair conflict',
-  'error: scheduling',
-  'error: irc',
-  'warning: capacity',
-  'warning: conflict',
-  'warning: duration',
-  'warning: track'
-];
-
 /**
  * Helper function to shuffle an array
  */
@@ -87,10 +159,35 @@ function makeseed() {
     .join('');
 }
 
-async function main({ preserve, except, changesFile, apply, seed }) {
+/**
+ * Price to pay to move a session that was assigned a room and slot but that
+ * has not yet been published to the calendar, and base price to pay to move a
+ * session that has been published (plus one per day since publication), when
+ * rescheduling sessions with minimal disruption.
+ */
+const unpublishedDisruption = 5;
+const publishedDisruption = 20;
+
+/**
+ * Helper function to compare two candidate grids. Grids with fewer
+ * unscheduled sessions come first, then grids with fewer errors, fewer
+ * warnings, and finally grids with a lower cost.
+ */
+function compareCandidates(c1, c2) {
+  return (c1.unscheduled - c2.unscheduled) ||
+    (c1.errors - c2.errors) ||
+    (c1.warnings - c2.warnings) ||
+    (c1.cost.total - c2.cost.total);
+}
+
+async function main({ preserve, except, changesFile, apply, seed, solver, runs }) {
   const PROJECT_OWNER = await getEnvKey('PROJECT_OWNER');
   const PROJECT_NUMBER = await getEnvKey('PROJECT_NUMBER');
   const CHAIR_W3CID = await getEnvKey('CHAIR_W3CID', {}, true);
+  const GRID_WEIGHTS = await getEnvKey('GRID_WEIGHTS', {}, true);
+  const ATTENDEE_PREFERENCES = await getEnvKey('ATTENDEE_PREFERENCES', '');
+  const EXTERNAL_SCHEDULE = await getEnvKey('EXTERNAL_SCHEDULE', '');
+  const ROOM_DISTANCES = await getEnvKey('ROOM_DISTANCES', {}, true);
   console.warn();
   console.warn(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}...`);
   const project = await fetchProject(PROJECT_OWNER, PROJECT_NUMBER);
@@ -98,11 +195,18 @@ async function main({ preserve, except, changesFile, apply, seed }) {
     throw new Error(`Project ${PROJECT_OWNER}/${PROJECT_NUMBER} could not be retrieved`);
   }
   project.chairsToW3CID = CHAIR_W3CID;
+  project.roomDistances = ROOM_DISTANCES;
+  if (EXTERNAL_SCHEDULE) {
+    project.externalMeetings = await loadExternalSchedule(
+      EXTERNAL_SCHEDULE, project.metadata.timezone);
+    console.warn(`- loaded ${project.externalMeetings.length} meetings from external schedule`);
+  }
   console.warn(`- found ${project.sessions.length} sessions`);
   let sessions = await Promise.all(project.sessions.map(async session => {
     const sessionErrors = (await validateSession(session.number, project))
       .filter(err =>
         err.severity === 'error' &&
+        err.type !== 'availability' &&
         err.type !== 'chair conflict' &&
         err.type !== 'scheduling');
     if (sessionErrors.length > 0) {
@@ -113,22 +217,56 @@ async function main({ preserve, except, changesFile, apply, seed }) {
   sessions = sessions.filter(s => !!s);
   sessions.sort((s1, s2) => s1.number - s2.number);
   console.warn(`- found ${sessions.length} valid sessions among them: ${sessions.map(s => s.number).join(', ')}`);
-  shuffle(sessions, seed);
-  console.warn(`- shuffled sessions with seed "${seed}" to: ${sessions.map(s => s.number).join(', ')}`);
+  seed = seed ?? makeseed();
   console.warn(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER} and session(s)... done`);
 
-  // Consider that default capacity is "average number of people" to avoid assigning
-  // sessions to too small rooms
+  // Validation results that relate to scheduling
+  const schedulingErrors = await getSchedulingErrors();
+
+  // Import the results of the attendee preference survey if available
+  if (ATTENDEE_PREFERENCES) {
+    console.warn();
+    console.warn(`Load attendee preferences from ${ATTENDEE_PREFERENCES}...`);
+    const preferences = await loadAttendeePreferences(ATTENDEE_PREFERENCES);
+    const unknown = setSessionAttendees(sessions, preferences);
+    console.warn(`- found preferences for ${Object.keys(preferences).length} attendees`);
+    if (unknown.length > 0) {
+      console.warn(`- [WARNING] preferences mention unknown or invalid sessions: ${unknown.sort((n1, n2) => n1 - n2).join(', ')}`);
+    }
+    console.warn(`Load attendee preferences from ${ATTENDEE_PREFERENCES}... done`);
+  }
+
+  // When proposers do not know the capacity, estimate it from the number of
+  // people who reacted to the session issue (or use the "average number of
+  // people" if no one reacted) to avoid assigning sessions to too small rooms
   for (const session of sessions) {
     if (session.description.capacity === 0) {
-      session.description.capacity = 24;
+      session.description.capacity = estimateCapacity(session);
     }
   }
 
   const rooms = project.rooms;
   const slots = project.slots;
 
-  seed = seed ?? makeseed();
+  // Return the number of minutes since midnight of a "HH:mm" time, so that
+  // times can be compared regardless of zero-padding
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(n => parseInt(n, 10));
+    return hours * 60 + minutes;
+  }
+
+  // Return the name of the room whose name starts with the given string, or
+  // null if the string is empty
+  function findRoom(name, number) {
+    if (!name) {
+      return null;
+    }
+    const room = rooms.find(r => r.name.startsWith(name));
+    if (!room) {
+      throw new Error(`Unknown room "${name}" for session ${number} in changes file`);
+    }
+    return room.name;
+  }
 
   // Load changes to apply locally if so requested
   let changes = [];
@@ -151,21 +289,23 @@ async function main({ preserve, except, changesFile, apply, seed }) {
 
           // Rest may either be a slot (possibly followed by a room) or a room
           const rest = match[2].trim();
-          match = rest.match(/^(?:(\d{1,2}:\d{1,2})|(\d+))(.*)$/);
+          match = rest.match(/^(?:(?:(\d{4}-\d{2}-\d{2})\s+)?(\d{1,2}:\d{1,2})|(\d+))(.*)$/);
           if (match) {
             // A slot was specified
-            change.slot = match[1] ?
-              slots.find(s => s.name.startsWith(match[1])).name :
-              slots[parseInt(match[2], 10)-1].name;
-            change.room = match[3].trim() ?
-              rooms.find(r => r.name.startsWith(match[3].trim())).name :
-              null;
+            const slot = match[2] ?
+              slots.find(s => toMinutes(s.start) === toMinutes(match[2]) &&
+                (!match[1] || s.date === match[1])) :
+              slots[parseInt(match[3], 10)-1];
+            if (!slot) {
+              const spec = match[2] ? `${match[1] ?? ''} ${match[2]}`.trim() : match[3];
+              throw new Error(`Unknown slot "${spec}" for session ${change.number} in changes file`);
+            }
+            change.slot = slot.name;
+            change.room = findRoom(match[4].trim(), change.number);
           }
           else {
             // No slot was specified, there should be a room
-            change.room = rest.trim() ?
-              rooms.find(r => r.name.startsWith(rest.trim())).name :
-              null;
+            change.room = findRoom(rest.trim(), change.number);
           }
           return change;
         })
@@ -180,8 +320,8 @@ async function main({ preserve, except, changesFile, apply, seed }) {
 
   // Save initial grid algorithm settings as CLI params
   const cli = {};
-  if (preserve === 'all') {
-    cli.preserve = 'all';
+  if (preserve === 'all' || preserve === 'baseline') {
+    cli.preserve = preserve;
   }
   else if (!preserve || preserve.length === 0) {
     cli.preserve = 'none';
@@ -199,14 +339,43 @@ async function main({ preserve, except, changesFile, apply, seed }) {
     cli.except = 'none';
   }
   cli.seed = seed;
-  cli.apply = apply;
-  cli.cmd = `node tools/suggest-grid.mjs ${cli.preserve} ${cli.except} ${apply} ${cli.seed}`;
+  cli.apply = apply ? 'apply' : (changesFile ?? 'none');
+  cli.solver = solver;
+  cli.cmd = `node tools/suggest-grid.mjs ${cli.preserve} ${cli.except} ${cli.apply} ${cli.seed} ${cli.solver}`;
+
+  // In baseline mode, nothing is preserved per se, but current assignments
+  // are used as a baseline that the grid should stick to as much as possible
+  let baseline = null;
+  if (preserve === 'baseline') {
+    console.warn();
+    console.warn(`Compute baseline...`);
+    baseline = {};
+    const now = Date.now();
+    for (const session of sessions) {
+      if (!session.room || !session.slot || except?.includes(session.number)) {
+        continue;
+      }
+      const publishedAt = await fetchSessionPublicationDate(session);
+      const days = publishedAt ?
+        Math.max(Math.floor((now - publishedAt.getTime()) / 86400000), 0) :
+        0;
+      baseline[session.number] = {
+        room: session.room,
+        slot: session.slot,
+        publishedAt,
+        disruption: publishedAt ? publishedDisruption + days : unpublishedDisruption
+      };
+      console.warn(`- #${session.number} in room ${session.room} and slot ${session.slot}${publishedAt ? `, published ${days} days ago` : ''}`);
+    }
+    console.warn(`Compute baseline... done`);
+    preserve = [];
+  }
 
   if (preserve === 'all') {
     preserve = sessions.filter(s => s.slot || s.room).map(s => s.number);
   }
   if (except) {
-    preserve = preserve.filter(s => !except.includes(s.number));
+    preserve = preserve.filter(number => !except.includes(number));
   }
   if (!preserve) {
     preserve = [];
@@ -231,14 +400,33 @@ async function main({ preserve, except, changesFile, apply, seed }) {
   }
   tracks.add('');
 
+  // Return the slots that the session occupies, or would occupy if it were
+  // assigned to the given slot
+  function occupiedSlots(session, slot) {
+    return slot ?
+      getSessionSlots(Object.assign({}, session, { slot: slot.name }), project) :
+      getSessionSlots(session, project);
+  }
+
+  // Remember the preserved assignments, each run starts from them
+  const initialAssignments = sessions.map(s => ({ session: s, room: s.room, slot: s.slot }));
+
   // Initalize the views by slot and by room
-  for (const slot of slots) {
-    slot.pos = slots.indexOf(slot);
-    slot.sessions = sessions.filter(s => s.slot === slot.name);
+  function initViews() {
+    for (const slot of slots) {
+      slot.pos = slots.indexOf(slot);
+      slot.sessions = sessions.filter(s => occupiedSlots(s).includes(slot));
+    }
+    for (const room of rooms) {
+      room.pos = rooms.indexOf(room);
+      room.sessions = sessions.filter(s => s.room === room.name);
+    }
   }
-  for (const room of rooms) {
-    room.pos = rooms.indexOf(room);
-    room.sessions = sessions.filter(s => s.room === room.name);
+
+  // Return the features that the session requires and that the room lacks
+  function getMissingFeatures(session, room) {
+    return (session.description.requirements ?? [])
+      .filter(feature => !room.features?.includes(feature));
   }
 
   // Return next session to process (and flag it as processed)
@@ -291,7 +479,8 @@ async function main({ preserve, except, changesFile, apply, seed }) {
 
 
   function setRoomAndSlot(session, {
-    trackRoom, strictDuration, meetDuration, meetCapacity, meetConflicts
+    trackRoom, strictDuration, meetDuration, meetCapacity, meetConflicts,
+    meetAudience, meetRequirements, meetPreferences, meetTravel
   }) {
     const byCapacity = (r1, r2) => r1.capacity - r2.capacity;
     const byCapacityDesc = (r1, r2) => r2.capacity - r1.capacity;
@@ -302,7 +491,10 @@ async function main({ preserve, except, changesFile, apply, seed }) {
     // the only possible choice.
     // - Otherwise, all rooms that have enough capacity are possible,
     // or all rooms if capacity constraint has been relaxed already.
-    const possibleRooms = [];
+    // Unless the room was explicitly set, rooms must also have the features
+    // that the session requires, if any (projector, step-free access, etc.),
+    // unless that constraint has been relaxed.
+    let possibleRooms = [];
     if (session.room) {
       // Keep room already assigned
       possibleRooms.push(rooms.find(room => room.name === session.room));
@@ -322,6 +514,10 @@ async function main({ preserve, except, changesFile, apply, seed }) {
           .sort(byCapacityDesc));
       }
     }
+    if (!session.room && meetRequirements) {
+      possibleRooms = possibleRooms.filter(room =>
+        getMissingFeatures(session, room).length === 0);
+    }
 
     if (possibleRooms.length === 0) {
       return false;
@@ -337,16 +533,20 @@ async function main({ preserve, except, changesFile, apply, seed }) {
       // order. If we're dealing with a session that is not in a track,
       // possible slots are ordered so that less used ones get considered first
       // (to avoid gaps).
+      const isAvailable = slot => {
+        const candidateSlots = occupiedSlots(session, slot);
+        return !room.sessions.find(s => s !== session &&
+          occupiedSlots(s).find(other => candidateSlots.includes(other)));
+      };
       const possibleSlots = [];
       if (session.slot) {
         const slot = slots.find(slot => slot.name === session.slot);
-        if (!room.sessions.find(s => s !== session && s.slot === session.slot)) {
+        if (isAvailable(slot)) {
           possibleSlots.push(slot);
         }
       }
       else {
-        possibleSlots.push(...slots
-          .filter(slot => !room.sessions.find(session => session.slot === slot.name)));
+        possibleSlots.push(...slots.filter(isAvailable));
         if (!trackRoom) {
           // When not considering a specific track, fill slots in turn,
           // starting with least busy ones
@@ -367,13 +567,21 @@ async function main({ preserve, except, changesFile, apply, seed }) {
       // not lead to a situation where:
       // - Two sessions in the same track are scheduled at the same time.
       // - Two sessions chaired by the same person happen at the same time.
+      // - Session is scheduled in a slot where chairs are not available.
+      // - Session is not scheduled in one of the slots that chairs prefer.
       // - Conflicting sessions are scheduled at the same time.
+      // - Sessions that draw the same audience (people who reacted to both
+      // session issues) are scheduled at the same time.
+      // - Chairs or tracks need to go to a room that is too far away between
+      // back-to-back sessions.
       // - Session is scheduled in a slot that does not meet the duration
       // requirement.
       // ... Unless these constraints have been relaxed!
       function nonConflictingSlot(slot) {
+        const candidateSlots = occupiedSlots(session, slot);
         const potentialConflicts = sessions.filter(s =>
-          s !== session && s.slot === slot.name);
+          s !== session &&
+          occupiedSlots(s).find(other => candidateSlots.includes(other)));
         // There must be no session in the same track at that time
         const trackConflict = potentialConflicts.find(s =>
           s.tracks.find(track => session.tracks.includes(track)));
@@ -391,6 +599,11 @@ async function main({ preserve, except, changesFile, apply, seed }) {
           return false;
         }
 
+        // Chairs must not have other commitments at that time
+        if (getChairCommitments(session, candidateSlots, project).length > 0) {
+          return false;
+        }
+
         // There must be no conflicting sessions at the same time.
         if (meetConflicts.includes('session')) {
           const sessionConflict = potentialConflicts.find(s =>
@@ -401,9 +614,44 @@ async function main({ preserve, except, changesFile, apply, seed }) {
           }
         }
 
+        // There should be no session that draws the same audience
+        if (meetAudience) {
+          const audienceConflict = potentialConflicts.find(s =>
+            getCommonAudience(session, s).length > 0);
+          if (audienceConflict) {
+            return false;
+          }
+        }
+
+        // Chairs and tracks should not have to rush to a room far away
+        if (meetTravel) {
+          const candidate = Object.assign({}, session, { room: room.name, slot: slot.name });
+          if (getTravelIssues(candidate, sessions, project).length > 0) {
+            return false;
+          }
+        }
+
+        // Chairs must be available
+        if (candidateSlots.find(s => isSlotInList(s, session.description.unavailable))) {
+          return false;
+        }
+
+        // Meet chairs preferences unless we don't care
+        if (meetPreferences && session.description.preferred?.length > 0 &&
+            !isSlotInList(slot, session.description.preferred)) {
+          return false;
+        }
+
         // Meet duration preference unless we don't care
+        // (for sessions that need two consecutive slots, there must be a
+        // slot after the candidate one on the same day)
         if (meetDuration) {
-          if ((strictDuration && slot.duration !== session.description.duration) ||
+          if (session.description.duration === 'double') {
+            if (candidateSlots.length < 2) {
+              return false;
+            }
+          }
+          else if ((strictDuration && slot.duration !== session.description.duration) ||
               (!strictDuration && slot.duration < session.description.duration)) {
             return false;
           }
@@ -425,7 +673,9 @@ async function main({ preserve, except, changesFile, apply, seed }) {
         if (!session.slot) {
           session.slot = slot.name;
           session.updated = true;
-          slot.sessions.push(session);
+          for (const occupied of occupiedSlots(session)) {
+            occupied.sessions.push(session);
+          }
         }
         return true;
       }
@@ -434,87 +684,317 @@ async function main({ preserve, except, changesFile, apply, seed }) {
     return false;
   }
 
-  // Proceed on a track-by-track basis, and look at sessions in each track in
-  // turn.
-  for (const track of tracks) {
-    // Choose a default track room that has enough capacity and enough
-    // available slots to fit all session tracks, if possible, starting with
-    // rooms that have a maximum number of available slots. Relax capacity and
-    // slot number constraints if there is no ideal candidate room. In
-    // practice, unless we're running short on rooms, this should select a room
-    // that is still unused for the track.
-    const trackRoom = chooseTrackRoom(track);
-    if (track) {
-      console.warn(`Schedule sessions in track "${track}" favoring room "${trackRoom.name}"...`);
+  // Return the list of constraints that prevent the session from being
+  // scheduled in the given room and slot. The list is empty if nothing
+  // prevents it. Constraints that cannot be relaxed (room taken, chair clash)
+  // are flagged as "hard".
+  function getBlockingConstraints(session, room, slot) {
+    const blocking = [];
+    const candidateSlots = occupiedSlots(session, slot);
+    const others = sessions.filter(s => s !== session &&
+      occupiedSlots(s).find(other => candidateSlots.includes(other)));
+
+    for (const other of others.filter(s => s.room === room.name)) {
+      blocking.push({ hard: true, message: `room taken by #${other.number}` });
     }
-    else {
-      console.warn(`Schedule sessions in main track...`);
-    }
-
-    // Process each session in the track in turn, unless it has already been
-    // processed (this may happen when the session belongs to two tracks).
-    let session = selectNextSession(track);
-    while (session) {
-      // Attempt to assign a room and slot that meets all constraints.
-      // If that fails, relax constraints one by one and start over.
-      // Scheduling may fail if there's no way to avoid a conflict and if
-      // that conflict cannot be relaxed (e.g., same person cannot chair two
-      // sessions at the same time).
-      const constraints = {
-        trackRoom,
-        strictDuration: true,
-        meetDuration: true,
-        meetCapacity: true,
-        meetConflicts: ['session', 'track']
-      };
-      while (!setRoomAndSlot(session, constraints)) {
-        if (constraints.strictDuration) {
-          console.warn(`- relax duration comparison for #${session.number}`);
-          constraints.strictDuration = false;
-        }
-        else if (constraints.trackRoom) {
-          console.warn(`- relax track constraint for #${session.number}`);
-          constraints.trackRoom = null;
-        }
-        else if (constraints.meetDuration) {
-          console.warn(`- forget duration constraint for #${session.number}`);
-          constraints.meetDuration = false;
+
+    for (const other of others) {
+      const chairs = other.chairs.filter(c1 => session.chairs.find(c2 =>
+        (c1.login && c1.login === c2.login) ||
+        (c1.name && c1.name === c2.name)));
+      if (chairs.length > 0) {
+        blocking.push({
+          hard: true,
+          message: `chair clash with #${other.number} (${chairs.map(c => c.name ?? c.login).join(', ')})`
+        });
+      }
+      if (session.description.conflicts?.includes(other.number) ||
+          other.description.conflicts?.includes(session.number)) {
+        blocking.push({ message: `conflict with #${other.number}` });
+      }
+      const audience = getCommonAudience(session, other);
+      if (audience.length > 0) {
+        blocking.push({
+          message: `same audience as #${other.number} (${audience.length} people reacted to both)`
+        });
+      }
+      const tracks = other.tracks.filter(track => session.tracks.includes(track));
+      if (tracks.length > 0) {
+        blocking.push({
+          message: `same track as #${other.number} (${tracks.join(', ')})`
+        });
+      }
+    }
+
+    for (const commitment of getChairCommitments(session, candidateSlots, project)) {
+      blocking.push({
+        hard: true,
+        message: `chair ${commitment.chair.name ?? commitment.chair.login} attends "${commitment.meeting.title}"`
+      });
+    }
+
+    const unavailable = candidateSlots
+      .filter(s => isSlotInList(s, session.description.unavailable));
+    if (unavailable.length > 0) {
+      blocking.push({
+        hard: true,
+        message: `chairs unavailable (${unavailable.map(s => s.name).join(', ')})`
+      });
+    }
+    if (session.description.preferred?.length > 0 &&
+        !isSlotInList(slot, session.description.preferred)) {
+      blocking.push({ message: 'not a preferred slot' });
+    }
+
+    const candidate = Object.assign({}, session, { room: room.name, slot: slot.name });
+    for (const issue of getTravelIssues(candidate, sessions, project)) {
+      blocking.push({
+        message: `travel from/to #${issue.session.number} (${issue.travel} minutes, break is ${issue.break} minutes)`
+      });
+    }
+
+    const missingFeatures = getMissingFeatures(session, room);
+    if (missingFeatures.length > 0) {
+      blocking.push({
+        message: `room features (room lacks ${missingFeatures.join(', ')})`
+      });
+    }
+
+    if (room.capacity < session.description.capacity) {
+      blocking.push({
+        message: `capacity (room has ${room.capacity} seats, session needs ${session.description.capacity})`
+      });
+    }
+
+    if (session.description.duration === 'double') {
+      if (candidateSlots.length < 2) {
+        blocking.push({ message: 'duration (no consecutive slot on the same day)' });
+      }
+    }
+    else if (slot.duration !== session.description.duration) {
+      blocking.push({
+        message: `duration (slot lasts ${slot.duration} minutes, session needs ${session.description.duration})`
+      });
+    }
+
+    return blocking;
+  }
+
+  // Diagnose why the session could not be scheduled, listing the constraints
+  // that block each candidate room and slot. A room or slot that was
+  // preserved for the session is the only candidate in that dimension.
+  function diagnoseSession(session) {
+    const candidateRooms = session.room ?
+      rooms.filter(room => room.name === session.room) :
+      rooms;
+    const candidateSlots = session.slot ?
+      slots.filter(slot => slot.name === session.slot) :
+      slots;
+    const diagnosis = [];
+    for (const slot of candidateSlots) {
+      for (const room of candidateRooms) {
+        diagnosis.push({
+          room, slot,
+          blocking: getBlockingConstraints(session, room, slot)
+        });
+      }
+    }
+    return diagnosis;
+  }
+
+  // Format the list of blocking constraints as a string
+  function formatBlocking(blocking) {
+    return blocking
+      .map(b => b.hard ? `${b.message} (hard)` : b.message)
+      .join(', ');
+  }
+
+  // Suggest a grid, starting from the preserved assignments and shuffling
+  // sessions with the given seed
+  function suggestGrid(runSeed) {
+    for (const { session, room, slot } of initialAssignments) {
+      session.room = room;
+      session.slot = slot;
+      session.processed = false;
+      session.updated = false;
+    }
+    shuffle(sessions, runSeed);
+    console.warn(`- shuffled sessions with seed "${runSeed}" to: ${sessions.map(s => s.number).join(', ')}`);
+    initViews();
+
+    if (solver === 'annealing') {
+      // Optimize the grid as a whole, minimizing the cost of the grid
+      console.warn(`Optimize grid through simulated annealing...`);
+      const toSchedule = sessions.filter(s => !s.room || !s.slot);
+      suggestGridByAnnealing(sessions, project, {
+        seed: runSeed, weights: GRID_WEIGHTS, baseline
+      });
+      for (const session of toSchedule) {
+        const previous = baseline?.[session.number];
+        if (session.room && session.slot &&
+            (session.room !== previous?.room || session.slot !== previous?.slot)) {
+          session.updated = true;
+          console.warn(`- assigned #${session.number} to room ${session.room} and slot ${session.slot}`);
         }
-        else if (constraints.meetCapacity) {
-          console.warn(`- forget capacity constraint for #${session.number}`);
-          constraints.meetCapacity = false;
+      }
+      console.warn(`Optimize grid through simulated annealing... done`);
+    }
+    else {
+      // Proceed on a track-by-track basis, and look at sessions in each track in
+      // turn.
+      for (const track of tracks) {
+        // Choose a default track room that has enough capacity and enough
+        // available slots to fit all session tracks, if possible, starting with
+        // rooms that have a maximum number of available slots. Relax capacity and
+        // slot number constraints if there is no ideal candidate room. In
+        // practice, unless we're running short on rooms, this should select a room
+        // that is still unused for the track.
+        const trackRoom = chooseTrackRoom(track);
+        if (track) {
+          console.warn(`Schedule sessions in track "${track}" favoring room "${trackRoom.name}"...`);
         }
-        else if (constraints.meetConflicts.length === 2) {
-          console.warn(`- forget session conflicts for #${session.number}`);
-          constraints.meetConflicts = ['track'];
+        else {
+          console.warn(`Schedule sessions in main track...`);
         }
-        else if (constraints.meetConflicts[0] === 'track') {
-          console.warn(`- forget track conflicts for #${session.number}`);
-          constraints.meetConflicts = ['session'];
+
+        // Process each session in the track in turn, unless it has already been
+        // processed (this may happen when the session belongs to two tracks).
+        let session = selectNextSession(track);
+        while (session) {
+          // Attempt to assign a room and slot that meets all constraints.
+          // If that fails, relax constraints one by one and start over.
+          // Scheduling may fail if there's no way to avoid a conflict and if
+          // that conflict cannot be relaxed (e.g., same person cannot chair two
+          // sessions at the same time).
+          const constraints = {
+            trackRoom,
+            strictDuration: true,
+            meetDuration: true,
+            meetCapacity: true,
+            meetConflicts: ['session', 'track'],
+            meetAudience: !!sessions.find(s => s !== session &&
+              getCommonAudience(session, s).length > 0),
+            meetRequirements: true,
+            meetPreferences: session.description.preferred?.length > 0,
+            meetTravel: Object.keys(project.roomDistances ?? {}).length > 0
+          };
+          while (!setRoomAndSlot(session, constraints)) {
+            if (constraints.meetTravel) {
+              console.warn(`- relax travel constraint for #${session.number}`);
+              constraints.meetTravel = false;
+            }
+            else if (constraints.meetPreferences) {
+              console.warn(`- relax preferred slots constraint for #${session.number}`);
+              constraints.meetPreferences = false;
+            }
+            else if (constraints.meetAudience) {
+              console.warn(`- relax audience constraint for #${session.number}`);
+              constraints.meetAudience = false;
+            }
+            else if (constraints.strictDuration) {
+              console.warn(`- relax duration comparison for #${session.number}`);
+              constraints.strictDuration = false;
+            }
+            else if (constraints.trackRoom) {
+              console.warn(`- relax track constraint for #${session.number}`);
+              constraints.trackRoom = null;
+            }
+            else if (constraints.meetDuration) {
+              console.warn(`- forget duration constraint for #${session.number}`);
+              constraints.meetDuration = false;
+            }
+            else if (constraints.meetCapacity) {
+              console.warn(`- forget capacity constraint for #${session.number}`);
+              constraints.meetCapacity = false;
+            }
+            else if (constraints.meetConflicts.length === 2) {
+              console.warn(`- forget session conflicts for #${session.number}`);
+              constraints.meetConflicts = ['track'];
+            }
+            else if (constraints.meetConflicts[0] === 'track') {
+              console.warn(`- forget track conflicts for #${session.number}`);
+              constraints.meetConflicts = ['session'];
+            }
+            else if (constraints.meetConflicts.length > 0) {
+              console.warn(`- forget all conflicts for #${session.number}`);
+              constraints.meetConflicts = [];
+            }
+            else if (constraints.meetRequirements &&
+                session.description.requirements?.length > 0) {
+              console.warn(`- forget room requirements for #${session.number}`);
+              constraints.meetRequirements = false;
+            }
+            else {
+              console.warn(`- could not find a room and slot for #${session.number}`);
+              break;
+            }
+          }
+          if (session.room && session.slot) {
+            console.warn(`- assigned #${session.number} to room ${session.room} and slot ${session.slot}`);
+          }
+          session = selectNextSession(track);
         }
-        else if (constraints.meetConflicts.length > 0) {
-          console.warn(`- forget all conflicts for #${session.number}`);
-          constraints.meetConflicts = [];
+        if (track) {
+          console.warn(`Schedule sessions in track "${track}" favoring room "${trackRoom.name}"... done`);
         }
         else {
-          console.warn(`- could not find a room and slot for #${session.number}`);
-          break;
+          console.warn(`Schedule sessions in main track... done`);
         }
       }
-      if (session.room && session.slot) {
-        console.warn(`- assigned #${session.number} to room ${session.room} and slot ${session.slot}`);
-      }
-      session = selectNextSession(track);
+
     }
-    if (track) {
-      console.warn(`Schedule sessions in track "${track}" favoring room "${trackRoom.name}"... done`);
+    sessions.sort((s1, s2) => s1.number - s2.number);
+  }
+
+  // Suggest as many grids as requested, and rank them. Each run uses its own
+  // seed. When a seed was given, seeds of subsequent runs derive from it so
+  // that the whole ranking can be reproduced.
+  const candidates = [];
+  for (let run = 0; run < runs; run++) {
+    const runSeed = run === 0 ? seed : `${seed}${run}`;
+    if (runs > 1) {
+      console.warn();
+      console.warn(`Run ${run + 1}/${runs} with seed "${runSeed}"...`);
     }
-    else {
-      console.warn(`Schedule sessions in main track... done`);
+    suggestGrid(runSeed);
+    if (runs > 1) {
+      const runErrors = (await validateGrid(project))
+        .filter(error => schedulingErrors.includes(`${error.severity}: ${error.type}`));
+      candidates.push({
+        seed: runSeed,
+        assignments: sessions.map(s => ({
+          session: s, room: s.room, slot: s.slot, updated: s.updated
+        })),
+        unscheduled: sessions.filter(s => !s.slot || !s.room).length,
+        errors: runErrors.filter(error => error.severity === 'error').length,
+        warnings: runErrors.filter(error => error.severity === 'warning').length,
+        cost: computeGridCost(sessions, project, GRID_WEIGHTS, baseline)
+      });
+      console.warn(`Run ${run + 1}/${runs} with seed "${runSeed}"... done`);
     }
   }
 
-  sessions.sort((s1, s2) => s1.number - s2.number);
+  // Rank candidate grids and restore the best one
+  if (runs > 1) {
+    candidates.sort(compareCandidates);
+    const best = candidates[0];
+    for (const { session, room, slot, updated } of best.assignments) {
+      session.room = room;
+      session.slot = slot;
+      session.updated = updated;
+    }
+    initViews();
+    cli.seed = best.seed;
+    cli.cmd = `node tools/suggest-grid.mjs ${cli.preserve} ${cli.except} ${cli.apply} ${cli.seed} ${cli.solver}`;
+
+    console.warn();
+    console.warn(`Rank candidate grids...`);
+    for (const candidate of candidates) {
+      console.warn(`${candidates.indexOf(candidate) + 1}. seed "${candidate.seed}": ${candidate.unscheduled} unscheduled, ${candidate.errors} errors, ${candidate.warnings} warnings, cost ${candidate.cost.total}`);
+    }
+    console.warn(`- best grid obtained with seed "${best.seed}"`);
+    console.warn(`Rank candidate grids... done`);
+  }
 
   for (const session of sessions) {
     if (!session.slot || !session.room) {
@@ -523,6 +1003,51 @@ async function main({ preserve, except, changesFile, apply, seed }) {
     }
   }
 
+  // Explain why sessions could not be scheduled, so that planners know which
+  // manual moves could unblock them. This needs to be done before local
+  // changes get applied, since these changes may assign a room and slot.
+  const diagnoses = sessions
+    .filter(s => !s.slot || !s.room)
+    .map(session => ({ session, diagnosis: diagnoseSession(session) }));
+  if (diagnoses.length > 0) {
+    console.warn();
+    console.warn(`Diagnose unscheduled sessions...`);
+    console.warn(`("hard" constraints cannot be relaxed)`);
+    for (const { session, diagnosis } of diagnoses) {
+      console.warn(`- #${session.number} ${session.title}`);
+      for (const candidate of diagnosis) {
+        const reasons = formatBlocking(candidate.blocking) || 'no blocking constraint';
+        console.warn(`  - room ${candidate.room.name}, slot ${candidate.slot.name}: ${reasons}`);
+      }
+    }
+    console.warn(`Diagnose unscheduled sessions... done`);
+  }
+
+  // Report sessions that moved away from the baseline
+  const moved = baseline ?
+    sessions
+      .filter(s => baseline[s.number] &&
+        (s.room !== baseline[s.number].room || s.slot !== baseline[s.number].slot))
+      .map(session => Object.assign({ session }, baseline[session.number])) :
+    [];
+  if (baseline) {
+    console.warn();
+    console.warn(`Moved sessions...`);
+    for (const move of moved) {
+      const published = move.publishedAt ?
+        `published on ${move.publishedAt.toISOString().substring(0, 10)}` :
+        'not published';
+      const to = move.session.room && move.session.slot ?
+        `room ${move.session.room} and slot ${move.session.slot}` :
+        'unscheduled';
+      console.warn(`- #${move.session.number} (${published}): from room ${move.room} and slot ${move.slot} to ${to}`);
+    }
+    if (moved.length === 0) {
+      console.warn(`- no session moved`);
+    }
+    console.warn(`Moved sessions... done`);
+  }
+
   if (changes.length > 0) {
     console.warn();
     console.warn(`Apply local changes...`);
@@ -556,6 +1081,15 @@ async function main({ preserve, except, changesFile, apply, seed }) {
   }
   console.warn(`Validate grid... done`);
 
+  // Compute the cost of the grid, to compare grids objectively
+  const cost = computeGridCost(sessions, project, GRID_WEIGHTS, baseline);
+  console.warn();
+  console.warn(`Grid cost...`);
+  for (const line of formatGridCost(cost)) {
+    console.warn(`- ${line}`);
+  }
+  console.warn(`Grid cost... done`);
+
   function logIndent(tab, str) {
     let spaces = '';
     while (tab > 0) {
@@ -574,6 +1108,8 @@ async function main({ preserve, except, changesFile, apply, seed }) {
       .conflict-error { color: red; background-color: yellow; }
       .capacity-error { background-color: yellow; }
       .track-error { background-color: orange; }
+      .travel-error { border: 3px dashed red; }
+      .audience-clash { font-size: smaller; padding: 2px; }
       .track {
         background-color: #0E8A16;
         color: white;
@@ -600,13 +1136,26 @@ async function main({ preserve, except, changesFile, apply, seed }) {
   for (const slot of slots) {
     const tablerow = [slot.name];
     for (const room of rooms) {
-      const session = sessions.filter(s => s.slot === slot.name && s.room === room.name).pop();
+      const session = sessions.filter(s => s.room === room.name && occupiedSlots(s).includes(slot)).pop();
       tablerow.push(session);
     }
     tablerows.push(tablerow);
   }
+  // Compute the audience clash score of each slot
+  const audienceClashes = slots.map(slot =>
+    countAudienceClashes(sessions.filter(s => s.room && occupiedSlots(s).includes(slot))));
+  const maxAudienceClash = Math.max(...audienceClashes);
+
   // Format rows (after header row)
+  const multipleDays = slots.some(slot => slot.date !== slots[0].date);
   for (const row of tablerows) {
+    // Insert a row with the date when breakouts span multiple days
+    const slot = slots[tablerows.indexOf(row)];
+    const prevSlot = slots[tablerows.indexOf(row) - 1];
+    if (multipleDays && slot.date !== prevSlot?.date) {
+      logIndent(3, `<tr><th colspan="${rooms.length + 1}">${slot.date}</th></tr>`);
+    }
+
     // Format the row header (the time slot)
     logIndent(3, '<tr>');
     logIndent(4, '<th>');
@@ -625,6 +1174,14 @@ async function main({ preserve, except, changesFile, apply, seed }) {
     if (trackdups.length) {
       logIndent(5, '<p class="track-error">Same track: ' + trackdups.join(', ') + '</p>');
     }
+
+    // Report audience clashes in this slot, with a color whose intensity
+    // depends on the score
+    if (ATTENDEE_PREFERENCES) {
+      const clash = audienceClashes[tablerows.indexOf(row)];
+      const alpha = maxAudienceClash ? (clash / maxAudienceClash).toFixed(2) : 0;
+      logIndent(5, `<p class="audience-clash" style="background-color: rgba(255, 0, 0, ${alpha})">Audience clash: ${clash}</p>`);
+    }
     logIndent(4, '</th>');
     // Format rest of row
     for (let i = 1; i<row.length; i++) {
@@ -640,6 +1197,11 @@ async function main({ preserve, except, changesFile, apply, seed }) {
         if (trackdups.length && trackdups.some(r => session.tracks.includes(r))) {
           sloterrors.push('track-error');
         }
+        const travelIssues = getTravelIssues(session, sessions, project)
+          .filter(issue => issue.before);
+        if (travelIssues.length > 0) {
+          sloterrors.push('travel-error');
+        }
         if (sloterrors.length) {
           logIndent(4, '<td class="' + sloterrors.join(' ') + '">');
         } else {
@@ -647,7 +1209,8 @@ async function main({ preserve, except, changesFile, apply, seed }) {
         }
         const url= 'https://github.com/' + session.repository + '/issues/' + session.number;
         // Format session number (with link to GitHub) and name
-        logIndent(5, `<a href="${url}">#${session.number}</a>: ${session.title}`);
+        const continued = session.slot !== row[0] ? ' (continued)' : '';
+        logIndent(5, `<a href="${url}">#${session.number}</a>: ${session.title}${continued}`);
 
         // Format chairs
         logIndent(5, '<p>');
@@ -680,6 +1243,9 @@ async function main({ preserve, except, changesFile, apply, seed }) {
         if (sloterrors.includes('capacity-error')) {
           logIndent(5, '<p><b>Capacity</b>: ' + session.description.capacity + '</p>');
         }
+        for (const issue of travelIssues) {
+          logIndent(5, '<p><b>Travel</b>: ' + formatTravelIssue(issue) + '</p>');
+        }
         logIndent(4, '</td>');
       }
     }
@@ -694,15 +1260,91 @@ async function main({ preserve, except, changesFile, apply, seed }) {
     logIndent(2, '<p>' + unscheduled.map(s => '#' + s.number).join(', ') + '</p>');
   }
 
+  // Explain why sessions could not be scheduled, with a table per session
+  // that lists the constraints that block each candidate room and slot.
+  if (diagnoses.length > 0) {
+    logIndent(2, '<h2>Why sessions could not be scheduled</h2>');
+    logIndent(2, '<p>Constraints in <span class="conflict-error">red</span> cannot be relaxed. Other constraints were relaxed by the scheduler but still could not be met.</p>');
+    for (const { session, diagnosis } of diagnoses) {
+      const url = 'https://github.com/' + session.repository + '/issues/' + session.number;
+      logIndent(2, `<h3><a href="${url}">#${session.number}</a>: ${session.title}</h3>`);
+      const diagRooms = [...new Set(diagnosis.map(c => c.room))];
+      const diagSlots = [...new Set(diagnosis.map(c => c.slot))];
+      logIndent(2, '<table border=1>');
+      logIndent(3, '<tr>');
+      logIndent(4, '<th></th>');
+      for (const room of diagRooms) {
+        logIndent(4, '<th>' + room.name + '</th>');
+      }
+      logIndent(3, '</tr>');
+      for (const slot of diagSlots) {
+        logIndent(3, '<tr>');
+        logIndent(4, '<th>' + slot.name + '</th>');
+        for (const room of diagRooms) {
+          const candidate = diagnosis.find(c => c.room === room && c.slot === slot);
+          const reasons = candidate.blocking.map(b => b.hard ?
+            '<span class="conflict-error">' + b.message + '</span>' :
+            b.message);
+          logIndent(4, '<td>' + (reasons.join('<br/>') || 'no blocking constraint') + '</td>');
+        }
+        logIndent(3, '</tr>');
+      }
+      logIndent(2, '</table>');
+    }
+  }
+
   const preserveInPractice = (preserve !== 'all' && preserve.length > 0) ?
     ' (in practice: ' + preserve.sort((n1, n2) => n1 - n2).join(',') + ')' :
     '';
+  if (baseline) {
+    logIndent(2, '<h2>Moved sessions</h2>');
+    if (moved.length > 0) {
+      logIndent(2, '<table border=1>');
+      logIndent(3, '<tr><th>Session</th><th>Published</th><th>From</th><th>To</th></tr>');
+      for (const move of moved) {
+        const url = 'https://github.com/' + move.session.repository + '/issues/' + move.session.number;
+        const published = move.publishedAt ?
+          move.publishedAt.toISOString().substring(0, 10) :
+          'no';
+        const to = move.session.room && move.session.slot ?
+          `${move.session.room}, ${move.session.slot}` :
+          'unscheduled';
+        logIndent(3, `<tr><td><a href="${url}">#${move.session.number}</a>: ${move.session.title}</td><td>${published}</td><td>${move.room}, ${move.slot}</td><td>${to}</td></tr>`);
+      }
+      logIndent(2, '</table>');
+    }
+    else {
+      logIndent(2, '<p>No session moved.</p>');
+    }
+  }
+
+  if (candidates.length > 0) {
+    logIndent(2, '<h2>Candidate grids</h2>');
+    logIndent(2, `<p>This grid is the best of ${candidates.length} candidate grids. Grids are ranked by number of unscheduled sessions, then number of errors, number of warnings, and cost.</p>`);
+    logIndent(2, '<table border=1>');
+    logIndent(3, '<tr><th>Rank</th><th>Seed</th><th>Unscheduled</th><th>Errors</th><th>Warnings</th><th>Cost</th><th>Command</th></tr>');
+    for (const candidate of candidates) {
+      const cmd = `node tools/suggest-grid.mjs ${cli.preserve} ${cli.except} ${cli.apply} ${candidate.seed} ${cli.solver}`;
+      logIndent(3, `<tr><td>${candidates.indexOf(candidate) + 1}</td><td>${candidate.seed}</td><td>${candidate.unscheduled}</td><td>${candidate.errors}</td><td>${candidate.warnings}</td><td>${candidate.cost.total}</td><td><code>${cmd}</code></td></tr>`);
+    }
+    logIndent(2, '</table>');
+  }
+
+  logIndent(2, '<h2>Grid cost</h2>');
+  logIndent(2, '<ul>');
+  for (const line of formatGridCost(cost)) {
+    logIndent(3, `<li>${line}</li>`);
+  }
+  logIndent(2, '</ul>');
+
   logIndent(2, '<h2>Generation parameters</h2>');
   logIndent(2, `<ul>
       <li>preserve: ${cli.preserve}${preserveInPractice}</li>
       <li>except: ${cli.except}</li>
       <li>seed: ${cli.seed}</li>
       <li>apply: ${cli.apply}</li>
+      <li>solver: ${cli.solver}</li>
+      <li>runs: ${runs}</li>
     </ul>
     <p>Command-line command:</p>
     <pre><code>${cli.cmd}</code></pre>`);
@@ -732,12 +1374,12 @@ async function main({ preserve, except, changesFile, apply, seed }) {
 // Read preserve list from command-line
 let preserve;
 if (process.argv[2]) {
-  if (!process.argv[2].match(/^all|none|\d+(,\d+)*$/)) {
-    console.warn('Command needs to receive a list of issue numbers as first parameter or "all"');
+  if (!process.argv[2].match(/^all|none|baseline|\d+(,\d+)*$/)) {
+    console.warn('Command needs to receive a list of issue numbers as first parameter or "all" or "baseline"');
     process.exit(1);
   }
-  if (process.argv[2] === 'all') {
-    preserve = 'all';
+  if (process.argv[2] === 'all' || process.argv[2] === 'baseline') {
+    preserve = process.argv[2];
   }
   else if (process.argv[2] === 'none') {
     preserve = [];
@@ -760,10 +1402,30 @@ if (process.argv[3]) {
 }
 
 const apply = process.argv[4] === 'apply';
-const changesFile = apply ? undefined : (process.argv[4] ?? undefined);
+const changesFile = apply || process.argv[4] === 'none' ?
+  undefined :
+  (process.argv[4] || undefined);
 const seed = process.argv[5] ?? undefined;
 
-main({ preserve, except, changesFile, apply, seed })
+// Read solver
+const solver = process.argv[6] ?? (preserve === 'baseline' ? 'annealing' : 'greedy');
+if (!['greedy', 'annealing'].includes(solver)) {
+  console.warn('Command needs to receive "greedy" or "annealing" as sixth parameter');
+  process.exit(1);
+}
+if (preserve === 'baseline' && solver !== 'annealing') {
+  console.warn('The "baseline" mode requires the "annealing" solver');
+  process.exit(1);
+}
+
+// Read number of runs
+const runs = process.argv[7] ? parseInt(process.argv[7], 10) : 1;
+if (isNaN(runs) || runs < 1) {
+  console.warn('Command needs to receive a positive number of runs as seventh parameter');
+  process.exit(1);
+}
+
+main({ preserve, except, changesFile, apply, seed, solver, runs })
   .catch(err => {
     console.warn(`Something went wrong: ${err.message}`);
     throw err;
@@ -3,8 +3,9 @@ import { getEnvKey } from './lib/envkeys.mjs';
 import { fetchProject } from './lib/project.mjs';
 import { convertSessionToCalendarEntry } from './lib/calendar.mjs';
 import { validateSession } from './lib/validate.mjs';
+import { refreshChairsCache } from './lib/chairs.mjs';
 
-async function main(sessionNumber, status) {
+async function main(sessionNumber, status, refreshChairs) {
   console.log(`Retrieve environment variables...`);
   const PROJECT_OWNER = await getEnvKey('PROJECT_OWNER');
   console.log(`- PROJECT_OWNER: ${PROJECT_OWNER}`);
@@ -20,6 +21,13 @@ async function main(sessionNumber, status) {
   const CHAIR_W3CID = await getEnvKey('CHAIR_W3CID', {}, true);
   console.log(`Retrieve environment variables... done`);
 
+  if (refreshChairs) {
+    console.log();
+    console.log(`Refresh cached chair lookups...`);
+    await refreshChairsCache();
+    console.log(`Refresh cached chair lookups... done`);
+  }
+
   console.log();
   console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER} and session(s)...`);
   const project = await fetchProject(PROJECT_OWNER, PROJECT_NUMBER);
@@ -87,21 +95,25 @@ async function main(sessionNumber, status) {
 }
 
 
+// Refresh cached chair lookups if requested with "--refresh-chairs"
+const refreshChairs = process.argv.slice(2).includes('--refresh-chairs');
+const args = process.argv.slice(2).filter(arg => arg !== '--refresh-chairs');
+
 // Read session number from command-line
-const allSessions = process.argv[2];
+const allSessions = args[0];
 if (!allSessions || !allSessions.match(/^\d+$|^all$/)) {
   console.log('Command needs to receive a session number, or "all", as first parameter');
   process.exit(1);
 }
 const sessionNumber = allSessions === 'all' ? undefined : parseInt(allSessions, 10);
 
-const status = process.argv[3] ?? 'draft';
+const status = args[1] ?? 'draft';
 if (!['draft', 'tentative', 'confirmed'].includes(status)) {
   console.log('Command needs to receive a valid entry status "draft", "tentative" or "confirmed" as second parameter');
   process.exit(1);
 }
 
-main(sessionNumber, status)
+main(sessionNumber, status, refreshChairs)
   .catch(err => {
     console.log(`Something went wrong: ${err.message}`);
     throw err;
@@ -19,9 +19,10 @@
 import path from 'path';
 import fs from 'fs/promises';
 import { getEnvKey } from './lib/envkeys.mjs';
+import { fetchWithRetry } from './lib/http.mjs';
 
 async function listRecordings(accountId, authToken, recordingPrefix) {
-  const response = await fetch(
+  const response = await fetchWithRetry(
     `https://api.cloudflare.com/client/v4/accounts/${accountId}/stream?search=${recordingPrefix}`,
     {
       headers: {
@@ -42,7 +43,7 @@ async function listRecordings(accountId, authToken, recordingPrefix) {
 }
 
 async function updateThumbnail(recording, accountId, authToken) {
-  const response = await fetch(
+  const response = await fetchWithRetry(
     `https://api.cloudflare.com/client/v4/accounts/${accountId}/stream/${recording.videoId}`,
     {
       method: 'POST',
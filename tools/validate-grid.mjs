@@ -6,57 +6,93 @@
  *
  * To run the tool:
  *
- *  node tools/validate-grid.mjs [validation]
+ *  node tools/validate-grid.mjs [validation] [--format json|sarif|junit] [--refresh-chairs]
  *
  * where [validation] is either "scheduling" (default) to validate only
  * scheduling conflicts or "everything" to re-validate all sessions.
+ *
+ * With the "--format" option, the tool also outputs the validation results
+ * (the list of problems found, see `formatValidationResults` in
+ * `tools/lib/report.mjs`) in the requested machine-readable format to the
+ * standard output. Log lines then go to the standard error.
+ *
+ * Results of W3C account and GitHub user lookups are cached on disk (see
+ * `tools/lib/cache.mjs`). With the "--refresh-chairs" option, the tool drops
+ * these results and looks up chairs again, e.g., to take into account a chair
+ * who just linked their GitHub account to their W3C account.
+ *
+ * Validation rules may be enabled, disabled or re-graded for the event through
+ * a rules configuration file that the VALIDATION_RULES environment variable
+ * points to (see `loadRulesConfig` in `tools/lib/rules.mjs`).
  */
 
 import { getEnvKey } from './lib/envkeys.mjs';
 import { fetchProject, saveSessionValidationResult } from './lib/project.mjs'
 import { validateGrid } from './lib/validate.mjs';
 import { sendGraphQLRequest } from './lib/graphql.mjs';
+import { getRateLimitBudget } from './lib/http.mjs';
+import { loadExternalSchedule } from './lib/commitments.mjs';
+import { extractFormatOption, formatValidationResults } from './lib/report.mjs';
+import { getSchedulingErrors, getManagedResults, isWarningSuppressedByNote } from './lib/rules.mjs';
+import { refreshChairsCache } from './lib/chairs.mjs';
 
-const schedulingErrors = [
-  'error: chair conflict',
-  'error: scheduling',
-  'error: irc',
-  'warning: capacity',
-  'warning: conflict',
-  'warning: duration',
-  'warning: track'
-];
+// Log lines go to the standard error when the standard output is used to
+// report validation results in a machine-readable format
+let log = console.log;
 
-async function main(validation) {
+async function main(validation, format, refreshChairs) {
   // First, retrieve known information about the project and the session
   const PROJECT_OWNER = await getEnvKey('PROJECT_OWNER');
   const PROJECT_NUMBER = await getEnvKey('PROJECT_NUMBER');
   const CHAIR_W3CID = await getEnvKey('CHAIR_W3CID', {}, true);
-  console.log();
-  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}...`);
+  const EXTERNAL_SCHEDULE = await getEnvKey('EXTERNAL_SCHEDULE', '');
+  const ROOM_DISTANCES = await getEnvKey('ROOM_DISTANCES', {}, true);
+  if (refreshChairs) {
+    log();
+    log(`Refresh cached chair lookups...`);
+    await refreshChairsCache();
+    log(`Refresh cached chair lookups... done`);
+  }
+
+  log();
+  log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}...`);
   const project = await fetchProject(PROJECT_OWNER, PROJECT_NUMBER);
   if (!project) {
     throw new Error(`Project ${PROJECT_OWNER}/${PROJECT_NUMBER} could not be retrieved`);
   }
   project.chairsToW3CID = CHAIR_W3CID;
-  console.log(`- ${project.sessions.length} sessions`);
-  console.log(`- ${project.rooms.length} rooms`);
-  console.log(`- ${project.slots.length} slots`);
-  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}... done`);
+  project.roomDistances = ROOM_DISTANCES;
+  if (EXTERNAL_SCHEDULE) {
+    project.externalMeetings = await loadExternalSchedule(
+      EXTERNAL_SCHEDULE, project.metadata.timezone);
+    log(`- ${project.externalMeetings.length} meetings in external schedule`);
+  }
+  log(`- ${project.sessions.length} sessions`);
+  log(`- ${project.rooms.length} rooms`);
+  log(`- ${project.slots.length} slots`);
+  log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}... done`);
+
+  // Validation results that the tool manages, unless it re-validates
+  // everything (depends on the rules configuration)
+  const schedulingErrors = await getSchedulingErrors();
+
+  // Validation results that other tools manage (e.g., broken links), to
+  // preserve when the tool re-validates everything
+  const managedResults = await getManagedResults();
 
-  console.log();
-  console.log(`Validate grid...`);
+  log();
+  log(`Validate grid...`);
   const errors = (await validateGrid(project))
     .filter(error => validation === 'everything' || schedulingErrors.includes(`${error.severity}: ${error.type}`));
-  console.log(`- ${errors.length} problems found`);
-  console.log(`Validate grid... done`);
+  log(`- ${errors.length} problems found`);
+  log(`Validate grid... done`);
 
   // Time to record session validation issues
   const sessions = [... new Set(errors.map(error => error.session))]
     .map(number => project.sessions.find(s => s.number === number));
   for (const session of sessions) {
-    console.log();
-    console.log(`Save validation results for session ${session.number}...`);
+    log();
+    log(`Save validation results for session ${session.number}...`);
     for (const severity of ['Error', 'Warning', 'Check']) {
       let results = errors
         .filter(error => error.session === session.number && error.severity === severity.toLowerCase())
@@ -67,25 +103,26 @@ async function main(validation) {
         // Need to keep the 'irc channel' value until an admin removes it
         results.push('irc channel');
       }
-      else if (severity === 'Warning' && session.validation.note) {
+      else if (severity === 'Warning') {
         results = results.filter(warning => {
-          const keep =
-            !session.validation.note.includes(`-warning:${warning}`) &&
-            !session.validation.note.includes(`-warn:${warning}`) &&
-            !session.validation.note.includes(`-w:${warning}`);
+          const keep = !isWarningSuppressedByNote(session, warning);
           if (!keep) {
-            console.log(`- drop warning:${warning} per note`);
+            log(`- drop warning:${warning} per note`);
           }
           return keep;
         });
       }
-      if (validation !== 'everything' && session.validation[severity.toLowerCase()]) {
+      if (session.validation[severity.toLowerCase()]) {
         // Need to preserve previous results that touched on other aspects
         const previousResults = session.validation[severity.toLowerCase()]
           .split(',')
           .map(value => value.trim());
         for (const result of previousResults) {
-          if (!schedulingErrors.includes(`${severity.toLowerCase()}: ${result}`)) {
+          const value = `${severity.toLowerCase()}: ${result}`;
+          const preserve = validation === 'everything' ?
+            managedResults.includes(value) :
+            !schedulingErrors.includes(value);
+          if (preserve && !results.includes(result)) {
             results.push(result);
           }
         }
@@ -94,7 +131,7 @@ async function main(validation) {
       session.validation[severity.toLowerCase()] = results.join(', ');
     }
     await saveSessionValidationResult(session, project);
-    console.log(`Save validation results for session ${session.number}... done`);
+    log(`Save validation results for session ${session.number}... done`);
   }
 
   if (validation !== 'everything') {
@@ -122,17 +159,40 @@ async function main(validation) {
         }
       }
       if (updated) {
-        console.log(`Save validation results for session ${session.number}...`);
+        log(`Save validation results for session ${session.number}...`);
         await saveSessionValidationResult(session, project);
-        console.log(`Save validation results for session ${session.number}... done`);
+        log(`Save validation results for session ${session.number}... done`);
       }
     }
   }
+
+  const budget = getRateLimitBudget('https://api.github.com/graphql');
+  if (budget) {
+    log();
+    log(`GitHub rate limit budget: ${budget.remaining}/${budget.limit} points remaining`);
+  }
+
+  if (format) {
+    console.log(formatValidationResults(errors, format, {
+      name: 'validate-grid',
+      project,
+      sessions: project.sessions
+    }));
+  }
+}
+
+
+const { format, args } = extractFormatOption(process.argv.slice(2));
+if (format) {
+  log = console.warn;
 }
 
+// Refresh cached chair lookups if requested
+const refreshChairs = args.includes('--refresh-chairs');
+const validation = args.find(arg => arg !== '--refresh-chairs');
 
-main(process.argv[2] ?? 'scheduling')
+main(validation ?? 'scheduling', format, refreshChairs)
   .catch(err => {
-    console.log(`Something went wrong: ${err.message}`);
+    log(`Something went wrong: ${err.message}`);
     throw err;
   });
\ No newline at end of file
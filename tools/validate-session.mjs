@@ -4,12 +4,17 @@
  *
  * To run the tool:
  *
- *  node tools/validate-session.mjs [sessionNumber] [changes]
+ *  node tools/validate-session.mjs [sessionNumber] [changes] [--format json|sarif|junit]
  *
  * where [sessionNumber] is the number of the issue to validate (e.g. 15)
  * and [changes] is the filename of a JSON file that describes changes made to
  * the body of the issue (e.g. changes.json).
  *
+ * With the "--format" option, the tool also outputs the validation results
+ * (see `formatValidationResults` in `tools/lib/report.mjs`) in the requested
+ * machine-readable format to the standard output. Log lines then go to the
+ * standard error.
+ *
  * The JSON file should look like:
  * {
  *   "body": {
@@ -18,32 +23,77 @@
  * }
  *
  * The JSON file typically matches github.event.issue.changes in a GitHub job.
+ *
+ * Validation rules may be enabled, disabled or re-graded for the event through
+ * a rules configuration file that the VALIDATION_RULES environment variable
+ * points to (see `loadRulesConfig` in `tools/lib/rules.mjs`).
+ *
+ * When the session does not specify an IRC channel, the tool allocates one
+ * based on the session's title (see `allocateChannel` in `tools/lib/irc.mjs`).
+ * The IRC_RESERVED_CHANNELS environment variable may list additional channels
+ * that sessions must not use, as a JSON array (e.g. ["#webapps"]).
  */
 
 import { getEnvKey } from './lib/envkeys.mjs';
 import { fetchProject, saveSessionValidationResult } from './lib/project.mjs'
 import { validateSession } from './lib/validate.mjs';
-import { parseSessionBody, updateSessionDescription } from './lib/session.mjs';
+import { parseSessionBody, updateSessionDescription, suggestSessionBodyFix } from './lib/session.mjs';
+import { fetchToolComment, upsertToolComment } from './lib/comments.mjs';
 import { sendGraphQLRequest } from './lib/graphql.mjs';
+import { loadExternalSchedule } from './lib/commitments.mjs';
+import { extractFormatOption, formatValidationResults } from './lib/report.mjs';
+import { allocateChannel } from './lib/irc.mjs';
+import { getManagedResults, isWarningSuppressedByNote } from './lib/rules.mjs';
+
+// Log lines go to the standard error when the standard output is used to
+// report validation results in a machine-readable format
+let log = console.log;
 
 /**
- * Helper function to generate a shortname from the session's title
+ * Helper function to generate the comment that explains format errors to the
+ * proposer, along with the fixed description if one could be computed (see
+ * `suggestSessionBodyFix`)
  */
-function generateShortname(session) {
-  return '#' + session.title
-    .toLowerCase()
-    .replace(/\([^\)]\)/g, '')
-    .replace(/[^a-z0-0\-\s]/g, '')
-    .replace(/\s+/g, '-');
+function generateFormatComment(errors, suggestion) {
+  const lines = [
+    'The description of this session does not follow the expected format, which prevents the session from being processed:',
+    ''
+  ].concat(errors.map(error => `- ${error}`));
+  if (suggestion.body) {
+    // Use a fence that cannot appear in the body
+    const backticks = (suggestion.body.match(/`+/g) ?? [])
+      .reduce((max, run) => Math.max(max, run.length + 1), 3);
+    const fence = '`'.repeat(backticks);
+    lines.push('');
+    if (suggestion.fixes.length > 0) {
+      lines.push('Suggested fixes:');
+      lines.push('');
+      lines.push(...suggestion.fixes.map(fix => `- ${fix}`));
+      lines.push('');
+    }
+    lines.push('Please edit the description of the issue and replace it with the following corrected version (or fix the problems manually):');
+    lines.push('');
+    lines.push(fence + 'markdown');
+    lines.push(suggestion.body);
+    lines.push(fence);
+  }
+  else {
+    lines.push('');
+    lines.push('A corrected version of the description could not be computed automatically. Please edit the description of the issue to fix these problems, making sure that it contains the sections of the session template (section titles start with `###`).');
+  }
+  return lines.join('\n');
 }
 
-async function main(sessionNumber, changesFile) {
+async function main(sessionNumber, changesFile, format) {
   // First, retrieve known information about the project and the session
   const PROJECT_OWNER = await getEnvKey('PROJECT_OWNER');
   const PROJECT_NUMBER = await getEnvKey('PROJECT_NUMBER');
   const CHAIR_W3CID = await getEnvKey('CHAIR_W3CID', {}, true);
-  console.log();
-  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}...`);
+  const EXTERNAL_SCHEDULE = await getEnvKey('EXTERNAL_SCHEDULE', '');
+  const ROOM_DISTANCES = await getEnvKey('ROOM_DISTANCES', {}, true);
+  const IRC_RESERVED_CHANNELS = await getEnvKey('IRC_RESERVED_CHANNELS', [], true);
+  log();
+  log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}...`);
   const project = await fetchProject(PROJECT_OWNER, PROJECT_NUMBER);
   const session = project.sessions.find(s => s.number === sessionNumber);
   if (!project) {
@@ -52,19 +102,35 @@ async function main(sessionNumber, changesFile) {
   if (!session) {
     throw new Error(`Session ${sessionNumber} not found in project ${PROJECT_OWNER}/${PROJECT_NUMBER}`);
   }
-  console.log(`- ${project.sessions.length} sessions`);
-  console.log(`- ${project.rooms.length} rooms`);
-  console.log(`- ${project.slots.length} slots`);
+  log(`- ${project.sessions.length} sessions`);
+  log(`- ${project.rooms.length} rooms`);
+  log(`- ${project.slots.length} slots`);
   project.chairsToW3CID = CHAIR_W3CID;
-  console.log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}... done`);
+  project.roomDistances = ROOM_DISTANCES;
+  project.reservedChannels = IRC_RESERVED_CHANNELS;
+  if (EXTERNAL_SCHEDULE) {
+    project.externalMeetings = await loadExternalSchedule(
+      EXTERNAL_SCHEDULE, project.metadata.timezone);
+    log(`- ${project.externalMeetings.length} meetings in external schedule`);
+  }
+  log(`Retrieve project ${PROJECT_OWNER}/${PROJECT_NUMBER}... done`);
 
-  console.log();
-  console.log(`Validate session...`);
+  log();
+  log(`Validate session...`);
   let report = await validateSession(sessionNumber, project, changes);
   for (const error of report) {
-    console.log(`- ${error.severity}:${error.type}: ${error.messages.join(', ')}`);
+    if (error.details) {
+      // Structured problems, e.g., format problems, one per line
+      log(`- ${error.severity}:${error.type}:`);
+      for (const message of error.messages) {
+        log(`  - ${message}`);
+      }
+    }
+    else {
+      log(`- ${error.severity}:${error.type}: ${error.messages.join(', ')}`);
+    }
   }
-  console.log(`Validate session... done`);
+  log(`Validate session... done`);
 
   const checkComments = report.find(error =>
     error.severity === 'check' && error.type === 'instructions');
@@ -75,8 +141,8 @@ async function main(sessionNumber, changesFile) {
     // flag. That said, an admin may already have validated these comments
     // (and removed the flag). We should only add it back if the comments
     // section changed.
-    console.log();
-    console.log(`Assess need to add "check: instructions" flag...`);
+    log();
+    log(`Assess need to add "check: instructions" flag...`);
 
     // Read JSON file that describes changes if one was given
     // (needs to contain a dump of `github.event.changes` when run in a job)
@@ -85,20 +151,20 @@ async function main(sessionNumber, changesFile) {
       { assert: { type: 'json' } }
     );
     if (!changes.body?.from) {
-      console.log(`- no previous version of session body, add flag`);
+      log(`- no previous version of session body, add flag`);
     }
     else {
-      console.log(`- previous version of session body found`);
+      log(`- previous version of session body found`);
       try {
         const previousDescription = parseSessionBody(changes.body.from);
         const newDescription = parseSessionBody(session.body);
         if (newDescription.comments === previousDescription.comments) {
-          console.log(`- no change in comments section, no need to add flag`);
+          log(`- no change in comments section, no need to add flag`);
           report = report.filter(error =>
             !(error.severity === 'check' && error.type === 'instructions'));
         }
         else {
-          console.log(`- comments section changed, add flag`);
+          log(`- comments section changed, add flag`);
         }
       }
       catch {
@@ -106,15 +172,15 @@ async function main(sessionNumber, changesFile) {
         // the "check: comments" flag then.
         // TODO: consider doing something smarter as broken format errors
         // will typically arise when author adds links to agenda/minutes.
-        console.log(`- previous version of session body could not be parsed, add flag`);
+        log(`- previous version of session body could not be parsed, add flag`);
       }
     }
-    console.log(`Assess need to add "check: instructions" flag... done`);
+    log(`Assess need to add "check: instructions" flag... done`);
   }
 
   // No IRC channel provided, one will be created, let's add a
   // "check: irc channel" flag
-  if (!report.find(err => err.severity === 'error' && err.type === 'format') &&
+  if (!report.find(err => err.type === 'format') &&
       !session.description.shortname) {
     report.push({
       session: sessionNumber,
@@ -125,8 +191,9 @@ async function main(sessionNumber, changesFile) {
   }
 
   // Time to record session validation issues
-  console.log();
-  console.log(`Save session validation results...`);
+  log();
+  log(`Save session validation results...`);
+  const managedResults = await getManagedResults();
   for (const severity of ['Error', 'Warning', 'Check']) {
     let results = report
       .filter(error => error.severity === severity.toLowerCase())
@@ -139,58 +206,109 @@ async function main(sessionNumber, changesFile) {
       results.push('irc channel');
       results = results.sort();
     }
-    else if (severity === 'Warning' && session.validation.note) {
+    else if (severity === 'Warning') {
       results = results.filter(warning => {
-        const keep =
-          !session.validation.note.includes(`-warning:${warning}`) &&
-          !session.validation.note.includes(`-warn:${warning}`) &&
-          !session.validation.note.includes(`-w:${warning}`);
+        const keep = !isWarningSuppressedByNote(session, warning);
         if (!keep) {
-          console.log(`- drop warning:${warning} per note`);
+          log(`- drop warning:${warning} per note`);
         }
         return keep;
       });
     }
+    if (session.validation[severity.toLowerCase()]) {
+      // Need to preserve results of rules that other tools evaluate (e.g.,
+      // broken links, checked by the check-materials tool)
+      const previousResults = session.validation[severity.toLowerCase()]
+        .split(',')
+        .map(value => value.trim());
+      for (const result of previousResults) {
+        if (managedResults.includes(`${severity.toLowerCase()}: ${result}`) &&
+            !results.includes(result)) {
+          results.push(result);
+        }
+      }
+      results = results.sort();
+    }
     session.validation[severity.toLowerCase()] = results.join(', ');
   }
   await saveSessionValidationResult(session, project);
-  console.log(`Save session validation results... done`);
+  log(`Save session validation results... done`);
+
+  // Explain format errors to the proposer in a comment on the issue, with a
+  // corrected description when possible. Once errors are fixed, the comment
+  // gets updated accordingly.
+  const formatError = report.find(err => err.type === 'format');
+  if (formatError) {
+    log();
+    log(`Post format fix suggestion...`);
+    const suggestion = suggestSessionBodyFix(session.body);
+    log(suggestion.body ? `- corrected description computed` : `- no corrected description`);
+    const comment = generateFormatComment(formatError.messages, suggestion);
+    const updated = await upsertToolComment(session, 'format', comment);
+    if (!updated) {
+      log(`- comment not posted (already up-to-date, or snapshot mode):`);
+      log(comment);
+    }
+    log(`Post format fix suggestion... done`);
+  }
+  else if (await fetchToolComment(session, 'format')) {
+    log();
+    log(`Update format fix suggestion...`);
+    await upsertToolComment(session, 'format',
+      'The description of this session now follows the expected format. Thank you!');
+    log(`Update format fix suggestion... done`);
+  }
 
   // Prefix IRC channel with '#' if not already done
-  if (!report.find(err => err.severity === 'error' && err.type === 'format') &&
+  if (!report.find(err => err.type === 'format') &&
       session.description.shortname &&
       !session.description.shortname.startsWith('#')) {
-    console.log();
-    console.log(`Add '#' prefix to IRC channel...`);
+    log();
+    log(`Add '#' prefix to IRC channel...`);
     session.description.shortname = '#' + session.description.shortname;
     await updateSessionDescription(session);
-    console.log(`Add '#' prefix to IRC channel... done`);
+    log(`Add '#' prefix to IRC channel... done`);
   }
 
   // Or generate IRC channel if it was not provided.
-  if (!report.find(err => err.severity === 'error' && err.type === 'format') &&
+  if (!report.find(err => err.type === 'format') &&
       !session.description.shortname) {
-    console.log();
-    console.log(`Generate IRC channel...`);
-    session.description.shortname = generateShortname(session);
+    log();
+    log(`Generate IRC channel...`);
+    session.description.shortname = allocateChannel(session, project);
+    log(`- allocated ${session.description.shortname}`);
     await updateSessionDescription(session);
-    console.log(`Generate IRC channel... done`);
+    log(`Generate IRC channel... done`);
+  }
+
+  if (format) {
+    console.log(formatValidationResults(report, format, {
+      name: 'validate-session',
+      project,
+      sessions: [session]
+    }));
   }
 }
 
 
+// Read output format from command-line if specified
+const { format, args } = extractFormatOption(process.argv.slice(2));
+if (format) {
+  log = console.warn;
+}
+
 // Read session number from command-line
-if (!process.argv[2] || !process.argv[2].match(/^\d+$/)) {
-  console.log('Command needs to receive a session number as first parameter');
+if (!args[0] || !args[0].match(/^\d+$/)) {
+  log('Command needs to receive a session number as first parameter');
   process.exit(1);
 }
-const sessionNumber = parseInt(process.argv[2], 10);
+const sessionNumber = parseInt(args[0], 10);
 
 // Read change filename from command-line if specified
-const changes = process.argv[3];
+const changes = args[1];
 
-main(sessionNumber, changes)
+main(sessionNumber, changes, format)
   .catch(err => {
-    console.log(`Something went wrong: ${err.message}`);
+    log(`Something went wrong: ${err.message}`);
     throw err;
   });
\ No newline at end of file